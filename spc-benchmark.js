@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+* Statistical Process Control benchmark
+*
+* Times the SPC engine on years of hourly readings with shifts in level, with process breaks
+* detected automatically, e.g.
+*
+*   node spc-benchmark.js --points 100000 --runs 5
+*
+* This reports the time taken to find the processes and signals (processData) and to produce
+* the full results (analyse), as the best of the runs, with the number of processes and signals.
+* Only processData is the detection: analyse also copies the data and builds the JSON of every
+* process and point, which takes about as long again.
+* A process ends where a run that breaks processes starts, and once a break is found its points
+* aren't checked again, so with automatic detection the signals are mostly in the last process.
+* The full results are also timed with the breaks found set by hand (as when a chart's state is
+* restored), which checks every point of every process.
+*/
+var spcEngine = require("./spc-engine.js");
+
+var USAGE = [
+  "Usage: node spc-benchmark.js [options]",
+  "",
+  "Options:",
+  "  --points <n>       The number of hourly points (default: 100000)",
+  "  --runs <n>         The number of times to run each step (default: 5)",
+  "  --chart-type <type> The chart type (default: INDIVIDUALS)",
+  "  --help             Show this message"
+].join("\n");
+
+/**
+* Generate hourly readings.  The level shifts every few weeks (so there are processes to find), and
+* about one reading in a thousand is a spike well outside the limits (so there are signals to find).
+* A pseudo random generator with a fixed seed keeps the data the same from run to run.
+*
+* @param {int} points - The number of points
+*/
+var generateData = function(points) {
+  var seed = 1;
+  var random = function() {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+  var data = [];
+  var level = 100;
+  var start = Date.UTC(2010, 0, 1);
+  for (let i = 0; i < points; i++) {
+    if (random() < 1 / 500) {
+      level += (random() - 0.5) * 20;
+    }
+    var spike = random() < 1 / 1000 ? (random() < 0.5 ? -1 : 1) * 25 : 0;
+    data.push({"Date" : new Date(start + i * 3600000), "Count" : level + spike + (random() - 0.5) * 10});
+  }
+  return data;
+};
+
+/**
+* Time a step, as the best of several runs.
+*
+* @param {int} runs - The number of runs
+* @param {function} step - Runs the step, and returns its result
+*/
+var time = function(runs, step) {
+  var best = Infinity, result = null;
+  for (let i = 0; i < runs; i++) {
+    var started = process.hrtime.bigint();
+    result = step();
+    best = Math.min(best, Number(process.hrtime.bigint() - started) / 1e6);
+  }
+  return {"ms" : best, "result" : result};
+};
+
+var main = function(args) {
+  var options = {"points" : 100000, "runs" : 5, "chartType" : "INDIVIDUALS"};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] == "--points") {
+      options.points = +args[++i];
+    } else if (args[i] == "--runs") {
+      options.runs = +args[++i];
+    } else if (args[i] == "--chart-type") {
+      options.chartType = args[++i];
+    } else {
+      process.stdout.write(USAGE + "\n");
+      return args[i] == "--help" ? 0 : 2;
+    }
+  }
+
+  var data = generateData(options.points);
+  var properties = function() {
+    return {"chartType" : options.chartType, "autoDetectProcess" : true};
+  };
+
+  var detect = time(options.runs, function() {
+    var p = properties();
+    spcEngine.processData(data.slice(), p);
+    return p.processes;
+  });
+  var analyse = time(options.runs, function() {
+    return spcEngine.analyse(data.slice(), properties());
+  });
+  var breaks = analyse.result.processes.slice(1).map(function(p) {
+    return p.startIndex;
+  });
+  var fixed = time(options.runs, function() {
+    return spcEngine.analyse(data.slice(), {"chartType" : options.chartType, "manualProcesses" : breaks.slice()});
+  });
+
+  process.stdout.write([
+    options.points + " points",
+    "processData: " + detect.ms.toFixed(1) + " ms (" + detect.result.length + " processes)",
+    "analyse:     " + analyse.ms.toFixed(1) + " ms (" + analyse.result.processes.length + " processes, " +
+    analyse.result.signals.length + " signal points)",
+    "with breaks: " + fixed.ms.toFixed(1) + " ms (" + fixed.result.processes.length + " processes, " +
+    fixed.result.signals.length + " signal points)"
+  ].join("\n") + "\n");
+  return 0;
+};
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+/**
+* Statistical Process Control command line tool
+*
+* Analyses a CSV file with the SPC engine and reports each process and each signal, e.g.
+*
+*   node spc-cli.js crime.csv --date Month --date-format %Y-%m --auto-detect
+*
+* Run with --help for the options.  The exit code is 1 if --fail-on-signal is given and
+* signals are found (on or after --since, if given), and 2 if the options are invalid (e.g. an
+* unknown chart type or rule set) or the input can't be read.
+*/
+var fs = require("fs");
+var spcEngine = require("./spc-engine.js");
+
+var USAGE = [
+  "Usage: node spc-cli.js <file.csv> [options]",
+  "",
+  "Options:",
+  "  --date <column>          The date column (default: Date)",
+  "  --value <column>         The value column (default: Count)",
+  "  --date-format <format>   The date format in local time, as in the chart, e.g. %Y-%m (default: anything Date understands)",
+  "  --chart-type <type>      The chart type, e.g. INDIVIDUALS, I_MR, XBAR_R, P (default: INDIVIDUALS)",
+  "  --rule-set <name>        The signal rules, e.g. WESTERN_ELECTRIC, NELSON, MAKING_DATA_COUNT, WESTGARD",
+  "  --numerator <column>     For attribute charts, the defects column",
+  "  --denominator <column>   For p, np and u charts, the sample size column",
+  "  --subgroup-size <n>      For subgroup charts, the number of rows in each subgroup",
+  "  --target-mean <value>    For LEVEY_JENNINGS charts, the established mean of the control",
+  "  --target-sd <value>      For LEVEY_JENNINGS charts, the established standard deviation of the control",
+  "  --auto-detect            Automatically detect process breaks",
+  "  --exclude <dates>        Dates to exclude from the analysis (comma separated, repeatable)",
+  "  --break <dates>          Dates to start a new process at (comma separated, repeatable)",
+  "  --baseline-points <n>    Take the limits of each process from its first n points",
+  "  --baseline <dates>       Dates that end the baseline of their process (comma separated, repeatable)",
+  "  --format <format>        The report format: table, json or csv (default: table)",
+  "  --output <file>          Write the report to a file instead of stdout",
+  "  --fail-on-signal         Exit with code 1 if any signals are found",
+  "  --since <date>           Only fail for signals on or after this date",
+  "  --help                   Show this message"
+].join("\n");
+
+/* Options that take a value, mapped to their name in the options object */
+var VALUE_OPTIONS = {
+  "--date" : "date",
+  "--value" : "value",
+  "--date-format" : "dateFormat",
+  "--chart-type" : "chartType",
+  "--rule-set" : "ruleSet",
+  "--numerator" : "numerator",
+  "--denominator" : "denominator",
+  "--subgroup-size" : "subgroupSize",
+  "--baseline-points" : "baselinePoints",
+  "--target-mean" : "targetMean",
+  "--target-sd" : "targetSd",
+  "--format" : "format",
+  "--output" : "output",
+  "--since" : "since"
+};
+
+/* Options that can be given more than once */
+var LIST_OPTIONS = {
+  "--exclude" : "exclude",
+  "--break" : "breaks",
+  "--baseline" : "baselines"
+};
+
+/* Options that are flags */
+var FLAG_OPTIONS = {
+  "--auto-detect" : "autoDetect",
+  "--fail-on-signal" : "failOnSignal",
+  "--help" : "help"
+};
+
+/**
+* Parse the command line arguments.
+*
+* @param {Array} args - The arguments (excluding node and the script)
+*/
+var parseArgs = function(args) {
+  var options = {"date" : "Date", "value" : "Count", "format" : "table", "exclude" : [], "breaks" : [], "baselines" : []};
+  for (let i = 0; i < args.length; i++) {
+    var arg = args[i];
+    if (arg in FLAG_OPTIONS) {
+      options[FLAG_OPTIONS[arg]] = true;
+    } else if (arg in VALUE_OPTIONS || arg in LIST_OPTIONS) {
+      if (i + 1 >= args.length) {
+        throw new Error("Missing value for " + arg);
+      }
+      var value = args[++i];
+      if (arg in LIST_OPTIONS) {
+        options[LIST_OPTIONS[arg]] = options[LIST_OPTIONS[arg]].concat(value.split(","));
+      } else {
+        options[VALUE_OPTIONS[arg]] = value;
+      }
+    } else if (arg.indexOf("--") === 0) {
+      throw new Error("Unknown option " + arg);
+    } else {
+      options.file = arg;
+    }
+  }
+  if (["table", "json", "csv"].indexOf(options.format) === -1) {
+    throw new Error("Unknown format " + options.format);
+  }
+  checkChoice("chart type", options.chartType, spcEngine.ChartTypeEnum);
+  checkChoice("rule set", options.ruleSet, spcEngine.RuleSets);
+  return options;
+};
+
+/*
+* Internal - Check that an option (if given) names one of the choices, e.g. a chart type.
+*/
+var checkChoice = function(name, value, choices) {
+  if (value !== undefined && !Object.prototype.hasOwnProperty.call(choices, value)) {
+    throw new Error("Unknown " + name + " " + value + " (expected one of " + Object.keys(choices).join(", ") + ")");
+  }
+};
+
+/**
+* Parse CSV text into an array of objects keyed by the header row, with the header in its columns
+* property (as d3.csvParse gives).  Quoted fields may contain commas, new lines and doubled quotes.
+*
+* @param {String} text - The CSV text
+*/
+var parseCSV = function(text) {
+  var rows = [], row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    var c = text[i];
+    if (quoted) {
+      if (c == '"' && text[i + 1] == '"') {
+        field += '"';
+        i++;
+      } else if (c == '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c == '"') {
+      quoted = true;
+    } else if (c == ",") {
+      row.push(field);
+      field = "";
+    } else if (c == "\n" || c == "\r") {
+      if (c == "\r" && text[i + 1] == "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  var header = rows.shift() || [];
+  var data = rows.filter(function(r) {
+    return r.length > 1 || r[0] !== "";
+  }).map(function(r) {
+    var d = {};
+    header.forEach(function(h, i) {
+      d[h] = r[i];
+    });
+    return d;
+  });
+  data.columns = header;
+  return data;
+};
+
+var MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/* The date format directives, as in d3.timeParse (a regular expression and how to apply the match) */
+var DIRECTIVES = {
+  "Y" : ["(\\d{4})", function(t, v) { t.year = +v; }],
+  "y" : ["(\\d{2})", function(t, v) { t.year = +v + (+v < 69 ? 2000 : 1900); }],
+  "m" : ["(\\d{1,2})", function(t, v) { t.month = +v - 1; }],
+  "d" : ["(\\d{1,2})", function(t, v) { t.day = +v; }],
+  "e" : ["\\s*(\\d{1,2})", function(t, v) { t.day = +v; }],
+  "H" : ["(\\d{1,2})", function(t, v) { t.hours = +v; }],
+  "I" : ["(\\d{1,2})", function(t, v) { t.hours = +v % 12; }],
+  "p" : ["(AM|PM|am|pm)", function(t, v) { t.pm = v.toLowerCase() == "pm"; }],
+  "M" : ["(\\d{1,2})", function(t, v) { t.minutes = +v; }],
+  "S" : ["(\\d{1,2})", function(t, v) { t.seconds = +v; }],
+  "L" : ["(\\d{1,3})", function(t, v) { t.milliseconds = +v; }],
+  "b" : ["([A-Za-z]{3})", function(t, v) { t.month = MONTHS.indexOf(v.toLowerCase()); }],
+  "B" : ["([A-Za-z]+)", function(t, v) { t.month = MONTHS.indexOf(v.slice(0, 3).toLowerCase()); }]
+};
+
+/**
+* Create a date parser for a format, using the same directives as the chart's parseTime
+* (%Y, %y, %m, %d, %e, %H, %I, %p, %M, %S, %L, %b and %B).  Like d3.timeParse, dates are parsed in
+* local time, so they are the same as the chart's (and match the dates in a state it exported).  Strings
+* that don't match the format give null.
+*
+* @param {String} format - The date format
+*/
+var parseTime = function(format) {
+  var pattern = "", setters = [];
+  for (let i = 0; i < format.length; i++) {
+    var c = format[i];
+    if (c == "%" && i + 1 < format.length) {
+      var directive = format[++i];
+      if (directive == "%") {
+        pattern += "%";
+      } else if (directive in DIRECTIVES) {
+        pattern += DIRECTIVES[directive][0];
+        setters.push(DIRECTIVES[directive][1]);
+      } else {
+        throw new Error("Unsupported date directive %" + directive);
+      }
+    } else {
+      pattern += c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  var regex = new RegExp("^" + pattern + "$");
+
+  return function(string) {
+    var match = regex.exec(string.trim());
+    if (!match) {
+      return null;
+    }
+    var t = {"year" : 1900, "month" : 0, "day" : 1, "hours" : 0, "minutes" : 0, "seconds" : 0, "milliseconds" : 0};
+    setters.forEach(function(set, i) {
+      set(t, match[i + 1]);
+    });
+    if (t.pm) {
+      t.hours += 12;
+    }
+    return new Date(t.year, t.month, t.day, t.hours, t.minutes, t.seconds, t.milliseconds);
+  };
+};
+
+/*
+* Format a date for the report, in local time (as the dates were read), dropping the time if it is midnight.
+*/
+var formatDate = function(iso) {
+  var d = new Date(iso);
+  var pad = function(v, n) {
+    return ("000" + v).slice(-(n || 2));
+  };
+  var date = d.getFullYear() + "-" + pad(d.getMonth() + 1) + "-" + pad(d.getDate());
+  var time = pad(d.getHours()) + ":" + pad(d.getMinutes()) + ":" + pad(d.getSeconds()) + "." + pad(d.getMilliseconds(), 3);
+  return time == "00:00:00.000" ? date : date + " " + time;
+};
+
+/*
+* Format a number for the table report.
+*/
+var formatNumber = function(v) {
+  if (v == null || isNaN(v)) {
+    return "";
+  }
+  return Number.isInteger(v) ? String(v) : v.toFixed(2);
+};
+
+/**
+* Lay out rows as a table with padded columns.
+*
+* @param {Array} header - The column names
+* @param {Array} rows - The rows, each an array of strings
+*/
+var table = function(header, rows) {
+  var widths = header.map(function(h, i) {
+    return Math.max.apply(null, [h.length].concat(rows.map(function(r) { return r[i].length; })));
+  });
+  return [header].concat(rows).map(function(r) {
+    return r.map(function(v, i) {
+      return i == r.length - 1 ? v : (v + " ".repeat(widths[i])).slice(0, widths[i]);
+    }).join("  ");
+  }).join("\n");
+};
+
+/*
+* The p-value of a process's test of normality, or "" if it couldn't be tested.
+*/
+var normalityP = function(p, test) {
+  return p.normality && p.normality[test] ? p.normality[test].p : "";
+};
+
+/*
+* Quote a CSV field if it needs it.
+*/
+var csvField = function(v) {
+  v = v == null ? "" : String(v);
+  return /[",\n\r]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v;
+};
+
+/**
+* Create the report for an analysis.
+*
+* @param {Object} result - The result of spcEngine.analyse
+* @param {String} format - table, json or csv
+*/
+var report = function(result, format) {
+  if (format == "json") {
+    return JSON.stringify(result, null, 2) + "\n";
+  }
+
+  if (format == "csv") {
+    var lines = [["type", "process", "start", "end", "date", "value", "mean", "sd", "lcl", "ucl", "ad_p", "sw_p", "signal", "desc"]];
+    result.processes.forEach(function(p) {
+      lines.push(["process", p.index + 1, formatDate(p.start), formatDate(p.end), "", "", p.mean, p.sd, p.lcl, p.ucl,
+      normalityP(p, "andersonDarling"), normalityP(p, "shapiroWilk"), "", ""]);
+    });
+    result.signals.forEach(function(s) {
+      lines.push(["signal", s.process + 1, "", "", formatDate(s.date), s.value, "", "", "", "", "", "", s.signal, s.desc]);
+    });
+    return lines.map(function(l) {
+      return l.map(csvField).join(",");
+    }).join("\n") + "\n";
+  }
+
+  var processes = table(["Process", "Start", "End", "Points", "Mean", "SD", "LCL", "UCL", "AD p", "SW p", "Normal"],
+  result.processes.map(function(p) {
+    var pValue = function(test) {
+      var v = normalityP(p, test);
+      return v === "" ? "" : v < 0.001 ? "<0.001" : v.toFixed(3);
+    };
+    return [String(p.index + 1), formatDate(p.start), formatDate(p.end), String(p.points),
+    formatNumber(p.mean), formatNumber(p.sd), formatNumber(p.lcl), formatNumber(p.ucl),
+    pValue("andersonDarling"), pValue("shapiroWilk"), !p.normality ? "" : p.normality.warning ? "no" : "yes"];
+  }));
+  var signals = result.signals.length == 0 ? "No signals found" : table(["Date", "Value", "Process", "Signal", "Description"],
+  result.signals.map(function(s) {
+    return [formatDate(s.date), formatNumber(s.value), String(s.process + 1), s.signal, s.desc];
+  }));
+  return processes + "\n\n" + signals + "\n";
+};
+
+/**
+* Read the CSV, analyse it and write the report.
+*
+* @param {Array} args - The command line arguments
+* @returns {int} The exit code
+*/
+var main = function(args) {
+  var options;
+  try {
+    options = parseArgs(args);
+  } catch (e) {
+    process.stderr.write(e.message + "\n\n" + USAGE + "\n");
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(USAGE + "\n");
+    return 0;
+  }
+  if (!options.file) {
+    process.stderr.write("No CSV file given\n\n" + USAGE + "\n");
+    return 2;
+  }
+
+  var parse = options.dateFormat ? parseTime(options.dateFormat) : function(s) {
+    var d = new Date(s);
+    return isNaN(d) ? null : d;
+  };
+
+  var data;
+  try {
+    data = parseCSV(fs.readFileSync(options.file, "utf8"));
+  } catch (e) {
+    process.stderr.write("Can't read " + options.file + ": " + e.message + "\n");
+    return 2;
+  }
+
+  /* The columns we read must all be in the file.  Attribute charts count the numerator column, if given, rather
+  than the value column */
+  var numbers = [options.numerator || options.value].concat(options.denominator ? [options.denominator] : []);
+  var missing = [options.date].concat(numbers).filter(function(column) {
+    return data.columns.indexOf(column) === -1;
+  });
+  if (missing.length > 0) {
+    process.stderr.write("No column " + missing.join(", ") + " in " + options.file + " (its columns are " +
+    data.columns.join(", ") + ")\n");
+    return 2;
+  }
+
+  /* Convert the dates and values, skipping (and warning about) rows we can't read */
+  data = data.filter(function(d, i) {
+    var date = parse(d[options.date] || "");
+    if (!date) {
+      process.stderr.write("Skipping row " + (i + 2) + ": can't read the date '" + d[options.date] + "'\n");
+      return false;
+    }
+    for (let column of numbers) {
+      if (d[column].trim() === "" || isNaN(+d[column])) {
+        process.stderr.write("Skipping row " + (i + 2) + ": can't read the " + column + " '" + d[column] + "'\n");
+        return false;
+      }
+      d[column] = +d[column];
+    }
+    d[options.date] = date;
+    return true;
+  });
+  if (data.length == 0) {
+    process.stderr.write("No data found in " + options.file + "\n");
+    return 2;
+  }
+
+  var readDate = function(s) {
+    var date = parse(s);
+    if (!date) {
+      throw new Error("Can't read the date '" + s + "'");
+    }
+    return date;
+  };
+
+  var result, since;
+  try {
+    since = options.since ? readDate(options.since).toISOString() : null;
+    result = spcEngine.analyse(data, {
+      "xData" : options.date,
+      "yData" : options.value,
+      "chartType" : options.chartType || "INDIVIDUALS",
+      "ruleSet" : options.ruleSet || null,
+      "numeratorData" : options.numerator || null,
+      "denominatorData" : options.denominator || null,
+      "subgroupSize" : +options.subgroupSize || 0,
+      "targetMean" : "targetMean" in options ? +options.targetMean : null,
+      "targetSd" : "targetSd" in options ? +options.targetSd : null,
+      "autoDetectProcess" : !!options.autoDetect,
+      "datesToExclude" : options.exclude.map(readDate),
+      "breakDates" : options.breaks.map(readDate),
+      "baselines" : options.baselines.map(readDate),
+      "baselinePoints" : +options.baselinePoints || 0
+    });
+  } catch (e) {
+    process.stderr.write(e.message + "\n");
+    return 2;
+  }
+
+  var output = report(result, options.format);
+  if (options.output) {
+    fs.writeFileSync(options.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  if (options.failOnSignal) {
+    var signals = result.signals.filter(function(s) {
+      return !since || s.date >= since;
+    });
+    if (signals.length > 0) {
+      process.stderr.write(signals.length + " signal(s) found\n");
+      return 1;
+    }
+  }
+  return 0;
+};
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  "main" : main,
+  "parseCSV" : parseCSV,
+  "parseTime" : parseTime,
+  "report" : report
+};
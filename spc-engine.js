@@ -0,0 +1,2375 @@
+/**
+* Statistical Process Control Engine
+*
+* @author Chris Rooney
+*
+* The statistics behind the SPC chart: process detection, control limits and signal rules
+* (see https://en.wikipedia.org/wiki/Statistical_process_control).
+*
+* This has no dependencies and doesn't touch the DOM, so it can be used from Node, e.g.
+*
+*   var engine = require("./spc-engine.js");
+*   var result = engine.analyse(data, {"autoDetectProcess" : true});
+*
+* In the browser it is available as the global spcEngine, and is used by spc.js to draw the chart.
+*/
+var spcEngine = function () {
+
+  /* The maximum number of earlier points a rule can look back over */
+  var MAX_LOOKBACK = 2;
+
+  /* The version of the state saved by exportState */
+  var STATE_VERSION = 1;
+
+  /**
+  * Analyse the data and return the processes and signals as plain JSON.
+  *
+  * @param {Array} data - The data to analyse. Dates may be Date objects, or anything the Date constructor accepts.
+  * @param {Object} options - The same properties used to configure the SPC chart (see spc.displayChart), e.g.
+  * {"xData" : "Date", "yData" : "Count", "autoDetectProcess" : true, "datesToExclude" : ["2016-01-01"]}
+  * Manual process breaks can be given by date (breakDates) or by index (manualProcesses).
+  * @returns {Object} The processes (start/end, mean, sd and limits) and the per point values and signals.
+  */
+  var analyse = function(data, options) {
+    var properties = Object.assign({}, options);
+    var xData = properties.xData || "Date";
+
+    /* Work on a copy of the data, with real dates */
+    data = data.map(function(d) {
+      var row = Object.assign({}, d);
+      row[xData] = row[xData] instanceof Date ? row[xData] : new Date(row[xData]);
+      return row;
+    });
+
+    /* Exclusions may be given as a list of dates */
+    if (Array.isArray(properties.datesToExclude)) {
+      var datesToExclude = {};
+      properties.datesToExclude.forEach(function(d) {
+        datesToExclude[d instanceof Date ? d : new Date(d)] = true;
+      });
+      properties.datesToExclude = datesToExclude;
+    }
+    properties.manualProcesses = (properties.manualProcesses || []).slice();
+
+    var plotData = processData(data, properties);
+    return summarise(plotData, properties);
+  };
+
+  /**
+  * Detect the processes and signals in the data.  The processes are stored in properties.processes.
+  *
+  * @param {Array} data - The data (sorted in place)
+  * @param {Object} properties - Properties to configure the signal processing
+  * @returns {Array} The plotted data (e.g. subgroup means), which the process indices refer to
+  */
+  var processData = function(data, properties) {
+    /* Add default properties where not specified */
+    configureProperties(properties, data);
+
+    /* Sort the data */
+    data.sort(function(a,b) {return a[properties.xData]-b[properties.xData];});
+
+    /* Convert the raw data into the series we plot (e.g. subgroup means). For individuals this is the data itself. */
+    var chartType = ChartTypeEnum[properties.chartType];
+    var plotData = chartType.prepare(data, properties);
+
+    /* Process breaks are kept by date, so they stay at the same point when points are added before them, and
+    start at the first point on or after their date.  Breaks given by index are at the dates of those points */
+    properties.breakDates = manualBreakDates(plotData, properties).map(function(d) {
+      return d instanceof Date ? d : new Date(d);
+    });
+    properties.manualProcesses = breakIndices(plotData, properties.breakDates, properties);
+
+    /* With no points to plot there are no processes, and so no signals */
+    if (plotData.length == 0) {
+      return plotData;
+    }
+
+    if (properties.manualProcesses.length == 0  || properties.autoDetectProcess) {
+      /* If we don't have any process breaks, or we want to autodetect the processes, only create one process to start */
+      createProcess(properties.processes, 0, -1, properties);
+    } else {
+      /* Otherwise, create the manual process breaks */
+      var prev = 0;
+      for (let i = 0; i < properties.manualProcesses.length; ++i) {
+        var p = properties.manualProcesses[i];
+        createProcess(properties.processes, prev, p-1, properties);
+        if (i == properties.manualProcesses.length - 1 ) {
+          createProcess(properties.processes, p, plotData.length-1, properties);
+        }
+        prev = p;
+      }
+    }
+
+    /* Calculate the signals for each process (we do this iteratively) */
+    calculateSignals(plotData, properties.processes, 0, properties);
+    deriveProcesses(plotData, chartType, properties);
+    completeProcesses(plotData, chartType, properties, 0);
+    return plotData;
+  };
+
+  /**
+  * Add points after the end of processed data, without processing it all again.  Only the last
+  * process changes: its statistics and signals are updated to include the new points, and if we are
+  * auto detecting, new process breaks may be found among them.  The earlier processes are unchanged.
+  *
+  * @param {Array} data - The (sorted) data given to processData, which the points are added to
+  * @param {Array} plotData - The plotted data returned by processData, which the new rows are added to
+  * @param {Array} points - The new data points, in date order
+  * @param {Object} properties - The properties used by processData
+  * @returns {Array} The new plotted rows, or null if the points can't be appended (they are before the last
+  * point, or the chart type plots subgroups or a statistic of the whole process).  The data should then
+  * be processed again.
+  */
+  var appendData = function(data, plotData, points, properties) {
+    var chartType = ChartTypeEnum[properties.chartType];
+    if (!chartType || chartType.prepare === subgroupData || chartType.derive || properties.processes.length == 0) {
+      return null;
+    }
+    var previousLast = data[data.length - 1][properties.xData];
+    var last = previousLast;
+    for (let d of points) {
+      if (d[properties.xData] < last) {
+        return null;
+      }
+      last = d[properties.xData];
+    }
+
+    /* Prepare the new points with the last point before them, for chart types that compare a point
+    to the one before it (e.g. moving ranges) */
+    var rows = chartType.prepare(data.slice(-1).concat(points), properties).slice(1);
+    for (let d of points) {
+      data.push(d);
+      properties.dates.push(d[properties.xData]);
+    }
+    /* For individuals, the plotted data is the data itself */
+    if (plotData !== data) {
+      for (let d of rows) {
+        plotData.push(d);
+      }
+    }
+
+    /* If we were auto detecting up to the last point, carry on up to the new last point */
+    if (new Date(properties.autoDetectUntil) >= previousLast) {
+      properties.autoDetectUntil = last;
+    }
+
+    /* A capped last process (after manual process breaks) now runs to the new end of the data */
+    var pIndex = properties.processes.length - 1;
+    var process = properties.processes[pIndex];
+    if (process.cap > -1) {
+      process.cap = plotData.length - 1;
+    }
+    calculateSignals(plotData, properties.processes, pIndex, properties);
+    completeProcesses(plotData, chartType, properties, pIndex);
+    return rows;
+  };
+
+  /*
+  * Internal - Store the dates (of the process and the end of its baseline) and the test of normality of
+  * each process from an index on, once its signals have been found.
+  */
+  var completeProcesses = function(plotData, chartType, properties, from) {
+    for (let process of properties.processes.slice(from)) {
+      process.startDate = plotData[process.startIndex][properties.xData];
+      process.endDate = plotData[process.endIndex][properties.xData];
+      process.baselineEndDate = process.baselineEnd != null ? plotData[process.baselineEnd][properties.xData] : null;
+      process.normality = chartType.nonNegative ? null : normality(normalityValues(process, plotData, properties), properties);
+    }
+  };
+
+  /**
+  * Convert the processes and signals into plain JSON, with the signals following each annotation
+  * (see annotationSignals) if the chart has any.
+  *
+  * @param {Array} plotData - The plotted data
+  * @param {Object} properties - Properties used to detect the processes
+  */
+  var summarise = function(plotData, properties) {
+    var chartType = ChartTypeEnum[properties.chartType];
+    var result = {"chartType" : chartType.id, "processes" : [], "points" : [], "signals" : []};
+
+    properties.processes.forEach(function(process, p) {
+      result.processes.push(Object.assign({"index" : p}, describeProcess(process, plotData, properties)));
+
+      for (let i = process.startIndex; i <= process.endIndex; i++) {
+        var d = plotData[i];
+        var limits = pointLimits(process, d);
+        var signal = process.signals[d[properties.xData]] || null;
+        var point = {
+          "index" : i,
+          "date" : isoDate(d[properties.xData]),
+          "value" : d[properties.yData],
+          "process" : p,
+          "excluded" : isExcluded(d, properties),
+          "signal" : signal,
+          "mean" : limits.mean,
+          "ucl" : limits.mean + 3 * limits.sd,
+          "lcl" : limits.mean - 3 * limits.sd
+        };
+        if (chartType.lower) {
+          point.lower = chartType.lower(d);
+        }
+        if (d.level) {
+          point.level = d.level.name;
+          point.measured = d.level.value;
+        }
+        result.points.push(point);
+        if (signal) {
+          var entry = {"index" : i, "date" : point.date, "value" : point.value, "process" : p,
+          "signal" : signal, "desc" : SignalLibrary[signal].desc};
+          if (d.level) {
+            entry.level = d.level.name;
+          }
+          result.signals.push(entry);
+        }
+      }
+    });
+    if (properties.annotations && properties.annotations.length > 0) {
+      result.annotations = annotationSignals(plotData, properties);
+    }
+    return result;
+  };
+
+  /**
+  * Describe a process: its dates, statistics and limits, and how many of its points are excluded or signals.
+  *
+  * @param {Object} process - The process (from properties.processes)
+  * @param {Array} plotData - The plotted data
+  * @param {Object} properties - Properties used to detect the processes
+  * @returns {Object} The process as plain JSON.  The limits are null if they vary by point.  If the limits
+  * come from a baseline, baselineEnd is the date of its last point.
+  */
+  var describeProcess = function(process, plotData, properties) {
+    var limits = processLimits(process);
+    var rows = plotData.slice(process.startIndex, process.endIndex+1);
+    var excluded = rows.filter(function(d) {
+      return isExcluded(d, properties);
+    });
+    var signals = rows.filter(function(d) {
+      return d[properties.xData] in process.signals;
+    });
+    return {
+      "startIndex" : process.startIndex,
+      "endIndex" : process.endIndex,
+      "start" : isoDate(process.startDate),
+      "end" : isoDate(process.endDate),
+      "mean" : process.mean,
+      "sd" : process.sd,
+      "ucl" : hasVariableLimits(process) ? null : limits.mean + 3 * limits.sd,
+      "lcl" : hasVariableLimits(process) ? null : limits.mean - 3 * limits.sd,
+      "secondary" : process.secondary || null,
+      "points" : rows.length,
+      "excluded" : excluded.map(function(d) {
+        return isoDate(d[properties.xData]);
+      }),
+      "signalCount" : signals.length,
+      "normality" : process.normality || null,
+      "baselineEnd" : process.baselineEnd != null ? isoDate(plotData[process.baselineEnd][properties.xData]) : null
+    };
+  };
+
+  /**
+  * Find the signals that follow each annotation (e.g. a change of policy or a recalibrated machine): those on
+  * its date (or in its date range) and in the annotationPeriods points after it.
+  *
+  * @param {Array} plotData - The plotted data
+  * @param {Object} properties - Properties of a processed chart, with its annotations, e.g.
+  * [{"date" : "2014-04-01", "end" : "2014-06-30", "label" : "New policing policy"}]
+  * @returns {Array} Each annotation as plain JSON, with the points it covers (startIndex to endIndex, which is
+  * before startIndex if it covers none) and the signals among them
+  */
+  var annotationSignals = function(plotData, properties) {
+    var xData = properties.xData || "Date";
+    return (properties.annotations || []).map(function(annotation, a) {
+      var date = annotation.date instanceof Date ? annotation.date : new Date(annotation.date);
+      var end = annotation.end ? (annotation.end instanceof Date ? annotation.end : new Date(annotation.end)) : date;
+      var startIndex = lastIndexBefore(plotData, +date - 1, properties) + 1;
+      var endIndex = Math.min(plotData.length - 1, lastIndexBefore(plotData, end, properties) + (properties.annotationPeriods || 0));
+      var signals = [];
+      for (let process of (properties.processes || [])) {
+        for (let i = Math.max(startIndex, process.startIndex); i <= Math.min(endIndex, process.endIndex); i++) {
+          var d = plotData[i];
+          var signal = process.signals[d[xData]];
+          if (signal) {
+            signals.push({"index" : i, "date" : isoDate(d[xData]), "value" : d[properties.yData], "signal" : signal,
+            "desc" : SignalLibrary[signal].desc});
+          }
+        }
+      }
+      return Object.assign({}, annotation, {"index" : a, "date" : isoDate(date), "end" : annotation.end ? isoDate(end) : null,
+      "label" : annotation.label || "", "startIndex" : startIndex, "endIndex" : endIndex, "signals" : signals});
+    });
+  };
+
+  /**
+  * Get the individual measurements of a process (leaving out excluded points).  For subgroup
+  * charts these are the values in each subgroup, and for EWMA and CUSUM charts the values
+  * before they were smoothed.
+  *
+  * @param {Object} process - The process (from properties.processes)
+  * @param {Array} plotData - The plotted data
+  * @param {Object} properties - Properties used to detect the processes
+  * @returns {Array} The measurements
+  */
+  var measurements = function(process, plotData, properties) {
+    if (ChartTypeEnum[properties.chartType].nonNegative) {
+      throw new Error("Capability analysis needs measurements, not attribute data (" + properties.chartType + ")");
+    }
+    var values = [];
+    plotData.slice(process.startIndex, process.endIndex+1).forEach(function(d) {
+      if (isExcluded(d, properties)) {
+        return;
+      }
+      if (d.subgroup) {
+        values = values.concat(d.subgroup.values);
+      } else {
+        values.push("individual" in d ? d.individual : d[properties.yData]);
+      }
+    });
+    return numbers(values);
+  };
+
+  /*
+  * Internal - The values of a process the control limits apply to (leaving out excluded points).  For
+  * EWMA and CUSUM charts these are the values before they were smoothed.
+  */
+  var normalityValues = function(process, plotData, properties) {
+    var values = [];
+    plotData.slice(process.startIndex, process.endIndex+1).forEach(function(d) {
+      if (!isExcluded(d, properties)) {
+        values.push("individual" in d ? d.individual : d[properties.yData]);
+      }
+    });
+    return numbers(values);
+  };
+
+  /**
+  * Test whether values are normally distributed, since the control limits assume that they
+  * roughly are.  This gives the Anderson-Darling statistic (with the mean and sd estimated from
+  * the values, and the small sample adjustment) and the Shapiro-Wilk W (using Royston's
+  * approximation), each with its p-value.  A test is null if there are too few values for it (8
+  * for Anderson-Darling, and 3 to 5000 for Shapiro-Wilk).
+  *
+  * @param {Array} values - The values
+  * @param {Object} properties - Optional, holding the significance level below which the values are
+  * clearly not normal (normalityAlpha, 0.01 by default)
+  * @returns {Object} e.g. {"n" : 42, "andersonDarling" : {"statistic" : 0.31, "p" : 0.54},
+  * "shapiroWilk" : {"statistic" : 0.97, "p" : 0.41}, "warning" : false}
+  */
+  var normality = function(values, properties) {
+    var alpha = properties && properties.normalityAlpha != null ? properties.normalityAlpha : 0.01;
+    var sorted = numbers(values).sort(function(a, b) {
+      return a - b;
+    });
+    var result = {"n" : sorted.length, "andersonDarling" : andersonDarling(sorted), "shapiroWilk" : shapiroWilk(sorted)};
+    result.warning = [result.andersonDarling, result.shapiroWilk].some(function(test) {
+      return test !== null && test.p < alpha;
+    });
+    return result;
+  };
+
+  /*
+  * Internal - The Anderson-Darling test for normality of sorted values, with the p-value from
+  * D'Agostino and Stephens (1986).
+  */
+  var andersonDarling = function(sorted) {
+    var n = sorted.length;
+    var sd = deviation(sorted);
+    if (n < 8 || !(sd > 0)) {
+      return null;
+    }
+    var m = mean(sorted);
+    var logCdf = function(z) {
+      return Math.log(Math.max(normalCdf(z), Number.MIN_VALUE));
+    };
+    var s = 0;
+    for (let i = 0; i < n; i++) {
+      s += (2 * i + 1) * (logCdf((sorted[i] - m) / sd) + logCdf(-(sorted[n - 1 - i] - m) / sd));
+    }
+    var a2 = -n - s / n;
+    var a = a2 * (1 + 0.75 / n + 2.25 / (n * n));
+    var p;
+    if (a >= 0.6) {
+      p = Math.exp(1.2937 - 5.709 * a + 0.0186 * a * a);
+    } else if (a >= 0.34) {
+      p = Math.exp(0.9177 - 4.279 * a - 1.38 * a * a);
+    } else if (a >= 0.2) {
+      p = 1 - Math.exp(-8.318 + 42.796 * a - 59.938 * a * a);
+    } else {
+      p = 1 - Math.exp(-13.436 + 101.14 * a - 223.73 * a * a);
+    }
+    return {"statistic" : a2, "adjusted" : a, "p" : Math.min(1, Math.max(0, p))};
+  };
+
+  /*
+  * Internal - The Shapiro-Wilk test for normality of sorted values, using the coefficients and
+  * p-value approximations of Royston (1995), algorithm AS R94.
+  */
+  var shapiroWilk = function(sorted) {
+    var n = sorted.length;
+    var m = mean(sorted);
+    var ss = sum(sorted, function(v) {
+      return (v - m) * (v - m);
+    });
+    if (n < 3 || n > 5000 || !(ss > 0)) {
+      return null;
+    }
+
+    /* The coefficients, from the expected normal order statistics */
+    var a = new Array(n);
+    if (n == 3) {
+      a[0] = -Math.SQRT1_2;
+      a[1] = 0;
+      a[2] = Math.SQRT1_2;
+    } else {
+      var quantiles = [];
+      for (let i = 1; i <= n; i++) {
+        quantiles.push(normalQuantile((i - 0.375) / (n + 0.25)));
+      }
+      var mm = sum(quantiles, function(q) {
+        return q * q;
+      });
+      var u = 1 / Math.sqrt(n);
+      var polynomial = function(c) {
+        return c.reduceRight(function(acc, coefficient) {
+          return acc * u + coefficient;
+        }, 0);
+      };
+      var an = polynomial([quantiles[n - 1] / Math.sqrt(mm), 0.221157, -0.147981, -2.071190, 4.434685, -2.706056]);
+      var ends = 1, phi;
+      if (n > 5) {
+        var an1 = polynomial([quantiles[n - 2] / Math.sqrt(mm), 0.042981, -0.293762, -1.752461, 5.682633, -3.582633]);
+        phi = (mm - 2 * quantiles[n - 1] * quantiles[n - 1] - 2 * quantiles[n - 2] * quantiles[n - 2]) / (1 - 2 * an * an - 2 * an1 * an1);
+        a[n - 2] = an1;
+        a[1] = -an1;
+        ends = 2;
+      } else {
+        phi = (mm - 2 * quantiles[n - 1] * quantiles[n - 1]) / (1 - 2 * an * an);
+      }
+      a[n - 1] = an;
+      a[0] = -an;
+      for (let i = ends; i < n - ends; i++) {
+        a[i] = quantiles[i] / Math.sqrt(phi);
+      }
+    }
+
+    var w = Math.pow(sum(sorted, function(v, i) {
+      return a[i] * v;
+    }), 2) / ss;
+    w = Math.min(w, 1);
+
+    var p, mu, sigma;
+    if (n == 3) {
+      p = Math.max(0, 6 / Math.PI * (Math.asin(Math.sqrt(w)) - Math.asin(Math.sqrt(0.75))));
+    } else if (n <= 11) {
+      var gamma = 0.459 * n - 2.273;
+      mu = 0.5440 - 0.39978 * n + 0.025054 * n * n - 0.0006714 * n * n * n;
+      sigma = Math.exp(1.3822 - 0.77857 * n + 0.062767 * n * n - 0.0020322 * n * n * n);
+      p = 1 - normalCdf((-Math.log(gamma - Math.log(1 - w)) - mu) / sigma);
+    } else {
+      var ln = Math.log(n);
+      mu = -1.5861 - 0.31082 * ln - 0.083751 * ln * ln + 0.0038915 * ln * ln * ln;
+      sigma = Math.exp(-0.4803 - 0.082676 * ln + 0.0030302 * ln * ln);
+      p = 1 - normalCdf((Math.log(1 - w) - mu) / sigma);
+    }
+    return {"statistic" : w, "p" : isNaN(p) ? 0 : Math.min(1, p)};
+  };
+
+  /**
+  * Calculate the capability of a process against its specification limits (properties.lsl and
+  * properties.usl, either of which may be null).  Cp and Cpk use the within-process sigma (from the
+  * moving range, or the subgroup ranges / standard deviations), and Pp and Ppk the overall sigma.
+  * Indices that need a missing limit are null.
+  *
+  * @param {Object} process - The process (from properties.processes)
+  * @param {Array} plotData - The plotted data
+  * @param {Object} properties - Properties used to detect the processes, with the specification limits
+  * @returns {Object} The capability, e.g. {"n" : 72, "mean" : 21824.8, "withinSd" : 1243.2, "overallSd" : 2870.2,
+  * "cp" : 1.34, "cpk" : 1.12, "pp" : 0.58, "ppk" : 0.49, "ppm" : 70420.1, "ppmWithin" : 400.3, "observedPpm" : 55555.6}
+  */
+  var capability = function(process, plotData, properties) {
+    var values = measurements(process, plotData, properties);
+    var chartType = ChartTypeEnum[properties.chartType];
+    var rows = plotData.slice(process.startIndex, process.endIndex+1).filter(function(d) {
+      return !isExcluded(d, properties);
+    });
+    var lsl = properties.lsl == null ? null : +properties.lsl;
+    var usl = properties.usl == null ? null : +properties.usl;
+    var m = mean(values);
+    var withinSd = chartType.withinSigma ? chartType.withinSigma(rows) : movingRangeSigma(values);
+    var overallSd = deviation(values);
+
+    /* The index for the spread (Cp), the worse side (Cpk) and the expected proportion out of specification */
+    var spread = function(sd) {
+      return lsl === null || usl === null || !(sd > 0) ? null : (usl - lsl) / (6 * sd);
+    };
+    var worstSide = function(sd) {
+      if (!(sd > 0) || (lsl === null && usl === null)) {
+        return null;
+      }
+      return Math.min(usl === null ? Infinity : (usl - m) / (3 * sd), lsl === null ? Infinity : (m - lsl) / (3 * sd));
+    };
+    var ppm = function(sd) {
+      if (!(sd > 0) || (lsl === null && usl === null)) {
+        return null;
+      }
+      return 1e6 * ((lsl === null ? 0 : normalCdf((lsl - m) / sd)) + (usl === null ? 0 : 1 - normalCdf((usl - m) / sd)));
+    };
+    var outside = values.filter(function(v) {
+      return (lsl !== null && v < lsl) || (usl !== null && v > usl);
+    });
+
+    return {
+      "n" : values.length,
+      "mean" : m,
+      "withinSd" : withinSd,
+      "overallSd" : overallSd,
+      "lsl" : lsl,
+      "usl" : usl,
+      "target" : properties.target == null ? null : +properties.target,
+      "cp" : spread(withinSd),
+      "cpk" : worstSide(withinSd),
+      "pp" : spread(overallSd),
+      "ppk" : worstSide(overallSd),
+      "ppm" : ppm(overallSd),
+      "ppmWithin" : ppm(withinSd),
+      "observedPpm" : values.length && (lsl !== null || usl !== null) ? 1e6 * outside.length / values.length : null
+    };
+  };
+
+  /**
+  * Summarise categorical data for a Pareto chart: the total count of each category, largest
+  * first, with its percentage and the cumulative percentage of the total.  Excluded categories
+  * (properties.categoriesToExclude) are left out of the total and go at the end.
+  *
+  * @param {Array} data - The data, with a category (properties.categoryData) and a count (properties.yData) in each row
+  * @param {Object} properties - Properties to configure the Pareto chart
+  * @returns {Array} The categories, e.g.
+  * [{"category" : "Burglary", "count" : 120, "percent" : 40, "cumulative" : 40, "excluded" : false}, ...]
+  */
+  var pareto = function(data, properties) {
+    /* Add default properties where not specified */
+    configureProperties(properties, data);
+
+    var totals = {};
+    var categories = [];
+    data.forEach(function(d) {
+      var category = d[properties.categoryData];
+      if (!(category in totals)) {
+        totals[category] = 0;
+        categories.push(category);
+      }
+      totals[category] += +d[properties.yData] || 0;
+    });
+
+    var bars = categories.map(function(category) {
+      return {"category" : category, "count" : totals[category], "excluded" : category in properties.categoriesToExclude};
+    });
+    bars.sort(function(a, b) {
+      return a.excluded - b.excluded || b.count - a.count;
+    });
+
+    var total = sum(bars, function(b) {
+      return b.excluded ? 0 : b.count;
+    });
+    var cumulative = 0;
+    bars.forEach(function(b) {
+      b.percent = b.excluded || !total ? null : 100 * b.count / total;
+      cumulative += b.percent || 0;
+      b.cumulative = b.excluded || !total ? null : cumulative;
+    });
+    return bars;
+  };
+
+  /**
+  * Export the analyst's choices (the excluded points, manual process breaks, baselines and annotations) as JSON
+  * keyed by ISO date, so they can be saved and still apply when points are added to the data.
+  *
+  * @param {Object} properties - Properties of a processed chart
+  * @param {Array} plotData - The plotted data the process breaks refer to
+  * @returns {Object} The state, e.g.
+  * {"version" : 1, "autoDetectProcess" : false,
+  *  "exclusions" : [{"date" : "2016-01-01T00:00:00.000Z", "annotation" : {"author" : "CR", "reason" : "Data error"}}],
+  *  "breaks" : [{"date" : "2013-01-01T00:00:00.000Z"}], "baselines" : ["2012-06-01T00:00:00.000Z"],
+  *  "annotations" : [{"date" : "2014-04-01T00:00:00.000Z", "end" : null, "label" : "New policing policy"}]}
+  * An excluded point at a control level (see LEVEY_JENNINGS) also has its level.
+  */
+  var exportState = function(properties, plotData) {
+    var xData = properties.xData || "Date";
+    var exclusionAnnotations = properties.exclusionAnnotations || {};
+    var breakAnnotations = properties.breakAnnotations || {};
+    var state = {"version" : STATE_VERSION, "autoDetectProcess" : !!properties.autoDetectProcess, "exclusions" : [], "breaks" : []};
+
+    /* Exclusions and annotations are keyed by the stringified date (with the level of a point at a control level),
+    so use the date of the point where we have it */
+    var dates = {};
+    (plotData || []).forEach(function(d) {
+      dates[d[xData]] = d[xData];
+    });
+    for (let key in properties.datesToExclude) {
+      var date = isoDate(dates[key] || new Date(key));
+      var entry = stateEntry(date, exclusionAnnotations[key]);
+      if (dates[key] && dates[key].level !== undefined) {
+        entry.level = dates[key].level;
+      }
+      state.exclusions.push(entry);
+    }
+
+    /* Process breaks are kept by date, with their annotations */
+    for (let d of manualBreakDates(plotData || [], properties)) {
+      var breakDate = d instanceof Date ? d : new Date(d);
+      state.breaks.push(stateEntry(isoDate(breakDate), breakAnnotations[breakDate]));
+    }
+
+    var byDate = function(a, b) {
+      return new Date(a.date) - new Date(b.date);
+    };
+    state.exclusions.sort(byDate);
+    state.breaks.sort(byDate);
+
+    /* The ends of the process baselines */
+    state.baselines = (properties.baselines || []).map(function(d) {
+      return isoDate(d instanceof Date ? d : new Date(d));
+    }).sort();
+
+    /* The annotations, in date order */
+    state.annotations = (properties.annotations || []).map(function(a) {
+      return Object.assign({}, a, {"date" : isoDate(a.date instanceof Date ? a.date : new Date(a.date)),
+      "end" : a.end ? isoDate(a.end instanceof Date ? a.end : new Date(a.end)) : null});
+    }).sort(byDate);
+    return state;
+  };
+
+  /**
+  * Apply a state saved by exportState, replacing the chart's exclusions, manual process breaks, baselines and
+  * annotations.  The breaks start at the first point on or after their date when the chart is next processed.
+  *
+  * @param {Object} properties - Properties to configure the SPC chart
+  * @param {Object} state - The state, as returned by exportState
+  * @returns {Object} The properties
+  */
+  var importState = function(properties, state) {
+    if (!state || state.version !== STATE_VERSION) {
+      throw new Error("Unsupported SPC state version: " + (state && state.version));
+    }
+
+    properties.datesToExclude = {};
+    properties.exclusionAnnotations = {};
+    for (let e of (state.exclusions || [])) {
+      var date = new Date(e.date);
+      var key = "level" in e ? levelKey(date, e.level) : date;
+      properties.datesToExclude[key] = true;
+      if (e.annotation) {
+        properties.exclusionAnnotations[key] = Object.assign({}, e.annotation);
+      }
+    }
+
+    properties.manualProcesses = [];
+    properties.breakDates = [];
+    properties.breakAnnotations = {};
+    for (let b of (state.breaks || [])) {
+      var breakDate = new Date(b.date);
+      properties.breakDates.push(breakDate);
+      if (b.annotation) {
+        properties.breakAnnotations[breakDate] = Object.assign({}, b.annotation);
+      }
+    }
+
+    if ("autoDetectProcess" in state) {
+      properties.autoDetectProcess = state.autoDetectProcess;
+    }
+    if (state.baselines) {
+      properties.baselines = state.baselines.map(function(d) {
+        return new Date(d);
+      });
+    }
+    if (state.annotations) {
+      properties.annotations = state.annotations.map(function(a) {
+        return Object.assign({}, a);
+      });
+    }
+    return properties;
+  };
+
+  /*
+  * Internal - An exclusion or break in the saved state, with its annotation if it has one.
+  */
+  var stateEntry = function(date, annotation) {
+    var entry = {"date" : date};
+    if (annotation) {
+      entry.annotation = Object.assign({}, annotation);
+    }
+    return entry;
+  };
+
+  /*
+  * Internal - The dates of the manual process breaks.  Breaks given by index (manualProcesses) rather than
+  * by date (breakDates) are at the dates of those points.
+  */
+  var manualBreakDates = function(plotData, properties) {
+    if (properties.breakDates) {
+      return properties.breakDates;
+    }
+    var xData = properties.xData || "Date";
+    return (properties.manualProcesses || []).filter(function(i) {
+      return plotData[i] !== undefined;
+    }).map(function(i) {
+      return plotData[i][xData];
+    });
+  };
+
+  /**
+  * Get the indices of the points at which manual process breaks start: the first point on or after the date of
+  * each break.  A break can't start at the first point.
+  *
+  * @param {Array} plotData - The plotted data
+  * @param {Array} breakDates - The dates of the breaks
+  * @param {Object} properties - Properties to configure the SPC chart
+  * @returns {Array} The indices, in order
+  */
+  var breakIndices = function(plotData, breakDates, properties) {
+    return dateIndices(plotData, breakDates, properties).filter(function(i) {
+      return i > 0;
+    });
+  };
+
+  /*
+  * Internal - Find the index of the first point on or after each date, by binary search.
+  */
+  var dateIndices = function(plotData, dates, properties) {
+    var indices = [];
+    for (let date of dates) {
+      var time = +(date instanceof Date ? date : new Date(date));
+      var lo = 0, hi = plotData.length;
+      while (lo < hi) {
+        var mid = (lo + hi) >> 1;
+        if (+plotData[mid][properties.xData] < time) {
+          lo = mid + 1;
+        } else {
+          hi = mid;
+        }
+      }
+      if (!isNaN(time) && lo < plotData.length && indices.indexOf(lo) === -1) {
+        indices.push(lo);
+      }
+    }
+    return indices.sort(function(a, b) {
+      return a - b;
+    });
+  };
+
+  /*
+  * Internal - Convert a date to an ISO string.
+  */
+  var isoDate = function(d) {
+    return d instanceof Date ? d.toISOString() : d;
+  };
+
+  /**
+  * Internal function for creating a new process (either manually or automatically).
+  *
+  * @param {Array} processes - The current processes
+  * @param {int} index - The start index of the processes
+  * @param {int} cap - The end index
+  * @param {Object} properties - Properties to configure the signal processing
+  */
+  var createProcess = function(processes, index, cap, properties) {
+    /* We start with a minimum end index of the start index +
+    the length of the run (e.g. eight-over-mean) that
+    triggers an automatic process break */
+    var endIndex = index + processBreakLength(properties);
+    if (cap > -1 && endIndex > cap) {
+      /* If this exceeds the cap then reduce the end index */
+      endIndex = cap;
+    }
+
+    /* Add the process */
+    processes.push({
+      "startIndex" : index,
+      "endIndex" : endIndex,
+      "cap" : cap
+    });
+    /* If we have more than one process, then cap the
+    previous process to the start of this one */
+    if (processes.length > 1) {
+      processes[processes.length - 2].endIndex = index - 1;
+    }
+  };
+
+  /*
+  * Internal - Some chart types (e.g. EWMA and CUSUM) plot a statistic derived from each
+  * process once the processes have been found.  These replace the plotted values, limits and signals.
+  */
+  var deriveProcesses = function(plotData, chartType, properties) {
+    if (chartType.derive) {
+      for (let process of properties.processes) {
+        chartType.derive(plotData, process, properties);
+      }
+    }
+  };
+
+  /**
+  * Internal function for detecting signals and process breaks
+  *
+  * @param {Array} data - The data to render
+  * @param {Object} processes - Existing processes
+  * @param {int} pIndex - The first process to check
+  * @param {Object} properties - Properties to configure the signal processing, including whether
+  * to auto detect process breaks (and until when), and the dates to exclude.
+  */
+  var calculateSignals = function(data, processes, pIndex, properties) {
+    var rules = activeRules(properties);
+    var finder = properties.autoDetectProcess ? breakFinder(data, rules, properties) : null;
+
+    /* New processes are added to the list as breaks are found, so this runs until the last one */
+    for (let p = pIndex; p < processes.length; p++) {
+      var process = processes[p];
+
+      /* A process starts with a minimum end (see createProcess), and grows one data point at a time up to
+      * its cap (or the end of the data) until a process break is found.  The new data point changes the
+      * summary statistics, so finding a break means checking all the points of the process again.  Rather
+      * than doing this for every end, which takes close to O(n^2), the break finder tracks the runs and the
+      * running mean as points are added, and we only check the ends where a break may start.
+      */
+      var first = Math.min(process.endIndex, data.length - 1);
+      var last = Math.max(first, process.cap == -1 ? data.length - 1 : Math.min(process.cap, data.length - 1));
+      var mayBreak = finder ? finder(process) : null;
+      var processFound = false;
+      for (let end = first; !processFound && end <= last; end++) {
+        /* Without auto detection only the last end matters, and the break finder skips the ends that can't break the process */
+        if (end < last && (!properties.autoDetectProcess || (mayBreak && !mayBreak(end)))) {
+          continue;
+        }
+        process.endIndex = end;
+        processFound = scanProcess(data, processes, p, rules, properties);
+      }
+
+      if (processFound) {
+        /* If we have found a new process, regenerate the summary stats excluding the data points from the latest signal */
+        setProcessStatistics(process, processStatistics(data, process, properties));
+      }
+    }
+  };
+
+  /*
+  * Internal - Find the signals of a process up to its current end, checking each point (in reverse order)
+  * against the rules.  If auto detecting, and a run of a rule that breaks processes is found, a new process
+  * is created and this returns true.
+  */
+  var scanProcess = function(data, processes, pIndex, rules, properties) {
+    var process = processes[pIndex];
+    var signalTracker = {};
+    var processFound = false;
+    process.signals = {};
+    for (let i in rules) {
+      signalTracker[rules[i].id] = {"run" : 0, "window" : []};
+    };
+
+    /* generate summary statistics */
+    setProcessStatistics(process, processStatistics(data, process, properties));
+
+    /* Loop through all the points in reverse order */
+    for (var j = process.endIndex; j >= process.startIndex; --j) {
+      var d = data[j];
+      if (!isExcluded(d, properties)) {
+        var limits = pointLimits(process, d);
+        var previous = previousPoints(data, properties, process.startIndex, j);
+        var entry = {"id" : d[properties.xData], "previous" : previous.ids, "value" : d[properties.yData], "mean" : limits.mean};
+        for (let i in rules) {
+          var sig = rules[i];
+          /* Check whether any data points are classified as a signal */
+          if (sig.rule(d[properties.yData], limits.mean, limits.sd, previous.values)) {
+            /* Check whether a run has been detected, or a new process break should be inserted */
+            processFound =  incrementSignal(process.signals, signalTracker, sig, entry, processes, j,
+            j == process.startIndex ? false : properties.autoDetectProcess, properties);
+          } else {
+            /* Otherwise, clear the run */
+            clearSignal(process.signals, signalTracker, sig, entry);
+          }
+          /* If we have a process break, exit the loop */
+          if (processFound) {
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  };
+
+  /*
+  * Internal - Find the ends of a process at which a process break may be found, in close to linear time.
+  *
+  * A rule that breaks processes is a run of points on one side of the mean (sideOfMean), and the scan
+  * breaks at the first point of a run that ends either at the last point or before a point that doesn't
+  * match.  So as each point is added, the run of the points before it (the min, or max, of the last
+  * length values) gives a range of means for which it would break the process, e.g. [next value, min)
+  * for a run over the mean.  These ranges are counted in Fenwick trees over the sorted values, so each
+  * end only needs the running mean looked up.
+  *
+  * Returns null if this doesn't apply (a rule that breaks processes isn't sideOfMean, or the chart type
+  * has no running mean), in which case every end is checked.  Otherwise returns function(process), which
+  * returns function(end) for the ends of that process, in order.  This may give false positives (the
+  * end is then checked), but never misses a break.
+  */
+  var breakFinder = function(data, rules, properties) {
+    var chartType = ChartTypeEnum[properties.chartType];
+    var breakRules = [];
+    for (let i in rules) {
+      if (rules[i].processBreak) {
+        if (!rules[i].sideOfMean) {
+          return null;
+        }
+        breakRules.push(rules[i]);
+      }
+    }
+    if (!breakRules.length) {
+      /* Nothing breaks a process */
+      return function(process) {
+        return function(end) {
+          return false;
+        };
+      };
+    }
+    if (!chartType.runningMean) {
+      return null;
+    }
+
+    /* The rules compare the value to the mean, so missing values count as 0 and anything else not numeric never matches */
+    var valueAt = chartType.runningValue ? function(i) {
+      return chartType.runningValue(data[i]);
+    } : function(i) {
+      return +data[i][properties.yData];
+    };
+    var values = [];
+    for (let i = 0; i < data.length; i++) {
+      if (!isNaN(valueAt(i))) {
+        values.push(valueAt(i));
+      }
+    }
+    values = Float64Array.from(values).sort();
+
+    /* Runs under the mean are runs over it once the values are negated */
+    var sides = [1, -1].map(function(sign) {
+      var sorted = values.map(function(v) {
+        return sign * v;
+      });
+      if (sign < 0) {
+        sorted.reverse();
+      }
+      return {"sign" : sign, "sorted" : sorted, "tree" : new Int32Array(sorted.length + 1), "unbounded" : 0};
+    });
+    var updates = [];
+
+    /* Whether each point is before autoDetectUntil (so a run starting there can break the process) */
+    var until = new Date(properties.autoDetectUntil);
+    var beforeUntil = new Uint8Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      beforeUntil[i] = new Date(data[i][properties.xData]) < until ? 1 : 0;
+    }
+
+    var bisect = function(sorted, key, after) {
+      var lo = 0, hi = sorted.length;
+      while (lo < hi) {
+        var mid = (lo + hi) >> 1;
+        if (sorted[mid] < key || (after && sorted[mid] == key)) {
+          lo = mid + 1;
+        } else {
+          hi = mid;
+        }
+      }
+      return lo;
+    };
+    var addTo = function(tree, at, delta) {
+      for (let i = at + 1; i < tree.length; i += i & -i) {
+        tree[i] += delta;
+      }
+    };
+    var countTo = function(tree, at) {
+      var count = 0;
+      for (let i = at; i > 0; i -= i & -i) {
+        count += tree[i];
+      }
+      return count;
+    };
+    var add = function(side, key, delta) {
+      var at = bisect(side.sorted, key);
+      updates.push({"tree" : side.tree, "at" : at, "delta" : delta});
+      addTo(side.tree, at, delta);
+    };
+
+    return function(process) {
+      /* Clear the ranges of the previous process */
+      for (let u of updates) {
+        addTo(u.tree, u.at, -u.delta);
+      }
+      updates = [];
+      for (let side of sides) {
+        side.unbounded = 0;
+      }
+
+      var baseline = baselineEnd(data, process, properties);
+      var centre = chartType.runningMean(properties);
+      var points = [], indices = [];
+      var runs = breakRules.map(function(rule) {
+        return {"rule" : rule, "side" : sides[rule.below ? 1 : 0], "queue" : [], "head" : 0, "extreme" : null, "valid" : false};
+      });
+      var keyOf = function(side, v) {
+        return isNaN(v) ? -Infinity : side.sign * v;
+      };
+
+      /* Add a (non excluded) point to the running mean and the runs */
+      var addPoint = function(index) {
+        var v = valueAt(index);
+        var position = points.length;
+        points.push(v);
+        indices.push(index);
+        if (index <= baseline) {
+          centre.add(data[index]);
+        }
+        for (let run of runs) {
+          var side = run.side;
+          var key = keyOf(side, v);
+          /* The run of the points before this one ends here if it doesn't match, i.e. for means in [key, extreme) */
+          if (run.valid && run.extreme != -Infinity && (isNaN(v) || key < run.extreme)) {
+            if (isNaN(v)) {
+              side.unbounded++;
+            } else {
+              add(side, key, 1);
+            }
+            add(side, run.extreme, -1);
+          }
+
+          /* Keep the min of the last length points in a monotonic queue (of positions) */
+          var queue = run.queue;
+          while (queue.length > run.head && keyOf(side, points[queue[queue.length - 1]]) >= key) {
+            queue.pop();
+          }
+          queue.push(position);
+          if (queue[run.head] <= position - run.rule.length) {
+            run.head++;
+          }
+          /* The run of the last length points (if they all match) breaks the process at its first point */
+          var first = position + 1 >= run.rule.length ? indices[position + 1 - run.rule.length] : -1;
+          run.valid = first > process.startIndex && beforeUntil[first] == 1;
+          run.extreme = keyOf(side, points[queue[run.head]]);
+        }
+      };
+
+      var next = process.startIndex;
+      return function(end) {
+        for (; next <= end; next++) {
+          if (!isExcluded(data[next], properties)) {
+            addPoint(next);
+          }
+        }
+        var mean = centre.mean();
+        if (isNaN(mean)) {
+          return false;
+        }
+        for (let run of runs) {
+          if (run.valid && run.extreme > run.side.sign * mean) {
+            return true;
+          }
+        }
+        for (let side of sides) {
+          if (side.unbounded + countTo(side.tree, bisect(side.sorted, side.sign * mean, true)) > 0) {
+            return true;
+          }
+        }
+        return false;
+      };
+    };
+  };
+
+  /*
+  * Internal - The statistics of a process.  If the process has a baseline (phase I), these come from the
+  * baseline only, so they are frozen and the later points (phase II) are judged against them.
+  */
+  var processStatistics = function(data, process, properties) {
+    var end = baselineEnd(data, process, properties);
+    process.baselineEnd = end < process.endIndex ? end : null;
+    return summaryStatistics(data, properties, process.startIndex, Math.min(end, process.endIndex));
+  };
+
+  /*
+  * Internal - The index of the last point in the baseline of a process: the first baseline date marked in
+  * the process, or else the first baselinePoints points (if set).  Without a baseline, this is the end
+  * of the data.
+  */
+  var baselineEnd = function(data, process, properties) {
+    var end = data.length - 1;
+    for (let date of properties.baselines) {
+      var index = lastIndexBefore(data, date, properties);
+      if (index >= process.startIndex && index < end) {
+        end = index;
+      }
+    }
+    if (end == data.length - 1 && properties.baselinePoints > 0) {
+      end = process.startIndex + properties.baselinePoints - 1;
+    }
+    return end;
+  };
+
+  /*
+  * Internal - The index of the last point on or before a date (-1 if there is none), by binary search.
+  */
+  var lastIndexBefore = function(data, date, properties) {
+    var time = +(date instanceof Date ? date : new Date(date));
+    var lo = 0, hi = data.length;
+    while (lo < hi) {
+      var mid = (lo + hi) >> 1;
+      if (+data[mid][properties.xData] <= time) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    return lo - 1;
+  };
+
+  /*
+  * Internal - Store the summary statistics of a process.
+  */
+  var setProcessStatistics = function(process, stats) {
+    process.mean = stats.mean;
+    process.sd = stats.sd;
+    process.secondary = stats.secondary;
+    process.meanAt = stats.meanAt;
+    process.sdAt = stats.sdAt;
+    process.limits = stats.limits;
+  };
+
+  /*
+  * Check whether a process has limits that vary per data point (e.g. p and u charts).
+  */
+  var hasVariableLimits = function(process) {
+    return process.meanAt != null || process.sdAt != null;
+  };
+
+  /**
+  * Get the centre line and standard deviation that the control lines of a process are drawn from.
+  * These are the mean and sd of the process, unless its chart type plots a statistic with limits
+  * of its own (e.g. the decision interval of a CUSUM chart).
+  *
+  * @param {Object} process - The process
+  */
+  var processLimits = function(process) {
+    return process.limits || {"mean" : process.mean, "sd" : process.sd};
+  };
+
+  /**
+  * Get the limits of a point in the secondary (range / sigma) panel.  These are constant, unless
+  * the subgroups vary in size.
+  *
+  * @param {Object} process - The process
+  * @param {Object} d - The data point
+  * @returns {Object} The mean, ucl and lcl
+  */
+  var secondaryLimits = function(process, d) {
+    return process.secondary.at ? process.secondary.at(d) : process.secondary;
+  };
+
+  /**
+  * Get the mean and standard deviation of a process at a data point.  These are
+  * constant, unless the chart type defines them per point.
+  *
+  * @param {Object} process - The process
+  * @param {Object} d - The data point
+  */
+  var pointLimits = function(process, d) {
+    var limits = processLimits(process);
+    return {
+      "mean" : process.meanAt ? process.meanAt(d) : limits.mean,
+      "sd" : process.sdAt ? process.sdAt(d) : limits.sd
+    };
+  };
+
+  /**
+  * Get the min and max of mean +/- k standard deviations over a process.
+  *
+  * @param {Object} process - The process
+  * @param {Array} data - The plotted data
+  * @param {number} k - The number of standard deviations
+  */
+  var processLimitExtent = function(process, data, k) {
+    if (!hasVariableLimits(process)) {
+      var limits = processLimits(process);
+      return [limits.mean - k * limits.sd, limits.mean + k * limits.sd];
+    }
+    var extent = [Number.MAX_SAFE_INTEGER, -Number.MAX_SAFE_INTEGER];
+    for (let i = process.startIndex; i <= process.endIndex; i++) {
+      var pointLimit = pointLimits(process, data[i]);
+      extent[0] = Math.min(extent[0], pointLimit.mean - k * pointLimit.sd);
+      extent[1] = Math.max(extent[1], pointLimit.mean + k * pointLimit.sd);
+    }
+    return extent;
+  };
+
+  /**
+  * Statistics helpers.  These follow d3 (nulls and NaNs are ignored, and empty input
+  * gives undefined), so the results match those drawn by the chart.
+  *
+  * @param {Array} values - the values
+  * @param {function} accessor - optional, gets the value from each element
+  */
+  var numbers = function(values, accessor) {
+    var result = [];
+    for (let i = 0; i < values.length; i++) {
+      var v = accessor ? accessor(values[i], i) : values[i];
+      v = v === null ? NaN : +v;
+      if (!isNaN(v)) {
+        result.push(v);
+      }
+    }
+    return result;
+  };
+
+  var sum = function(values, accessor) {
+    var s = 0;
+    for (let v of numbers(values, accessor)) {
+      s += v;
+    }
+    return s;
+  };
+
+  var mean = function(values, accessor) {
+    var v = numbers(values, accessor);
+    return v.length ? sum(v) / v.length : undefined;
+  };
+
+  var deviation = function(values, accessor) {
+    var m = 0, s = 0, n = 0;
+    for (let v of numbers(values, accessor)) {
+      var delta = v - m;
+      m += delta / ++n;
+      s += delta * (v - m);
+    }
+    return n > 1 ? Math.sqrt(s / (n - 1)) : undefined;
+  };
+
+  var min = function(values, accessor) {
+    var v = numbers(values, accessor);
+    return v.length ? v.reduce(function(a, b) { return Math.min(a, b); }) : undefined;
+  };
+
+  var max = function(values, accessor) {
+    var v = numbers(values, accessor);
+    return v.length ? v.reduce(function(a, b) { return Math.max(a, b); }) : undefined;
+  };
+
+  /*
+  * Internal - Estimate sigma from the average moving range of a list of values (MR-bar / d2).
+  */
+  var movingRangeSigma = function(values) {
+    var ranges = [];
+    for (let i = 1; i < values.length; i++) {
+      ranges.push(Math.abs(values[i] - values[i - 1]));
+    }
+    return ranges.length ? mean(ranges) / subgroupConstants(2).d2 : undefined;
+  };
+
+  /**
+  * The standard normal cumulative distribution function.  This uses the complementary error
+  * function from Numerical Recipes, which has a fractional error below 1.2e-7 (so it stays
+  * accurate far into the tails, where the parts per million out of specification come from).
+  *
+  * @param {number} z - The number of standard deviations from the mean
+  */
+  var normalCdf = function(z) {
+    var x = Math.abs(z) / Math.SQRT2;
+    var t = 1 / (1 + 0.5 * x);
+    var erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+    return z >= 0 ? 1 - 0.5 * erfc : 0.5 * erfc;
+  };
+
+  /**
+  * The inverse of the standard normal cumulative distribution function, using Acklam's rational
+  * approximation (with a relative error below 1.2e-9).
+  *
+  * @param {number} p - The probability, between 0 and 1
+  */
+  var normalQuantile = function(p) {
+    var a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    var b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    var c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    var d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    var low = 0.02425;
+
+    if (p <= 0) {
+      return -Infinity;
+    } else if (p >= 1) {
+      return Infinity;
+    } else if (p < low || p > 1 - low) {
+      /* The tails */
+      var t = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+      var x = (((((c[0]*t+c[1])*t+c[2])*t+c[3])*t+c[4])*t+c[5]) / ((((d[0]*t+d[1])*t+d[2])*t+d[3])*t+1);
+      return p < low ? x : -x;
+    }
+    var q = p - 0.5;
+    var r = q * q;
+    return (((((a[0]*r+a[1])*r+a[2])*r+a[3])*r+a[4])*r+a[5])*q / (((((b[0]*r+b[1])*r+b[2])*r+b[3])*r+b[4])*r+1);
+  };
+
+  /*
+  * Internal - Get the value of a data point.
+  */
+  var valueOf = function(properties) {
+    return function(d) {
+      return d[properties.yData];
+    };
+  };
+
+  /**
+  * Internal - Generate summary statistics from a subset of the data.  The chart type
+  * defines how the mean and standard deviation are estimated.
+  *
+  * @param {Array} data - the data Array
+  * @param {Object} properties - Properties holding the chart type and the dates to exclude
+  * @param {int} start - the start inedex (inclusive)
+  * @param {int} end - the end index (exclusive)
+  */
+  var summaryStatistics = function(data, properties, start, end) {
+    end++;
+    var rows = data.slice(start, end);
+    if (!isEmpty(properties.datesToExclude)) {
+      rows = rows.filter(function(d) {
+        return !isExcluded(d, properties);
+      });
+    }
+    return ChartTypeEnum[properties.chartType].statistics(rows, properties);
+  };
+
+  /**
+  * Internal - Group the raw data into subgroups.  Each subgroup becomes a single plotted
+  * row holding the subgroup mean, with the range and standard deviation in d.subgroup.
+  *
+  * @param {Array} data - the (sorted) data Array
+  * @param {Object} properties - Properties to configure the SPC chart
+  */
+  var subgroupData = function(data, properties) {
+    var groups = [];
+    data.forEach(function(d, i) {
+      var last = groups[groups.length - 1];
+      var newGroup = properties.subgroupSize > 0 ? i % properties.subgroupSize == 0 :
+      !last || +last.date != +d[properties.xData];
+      if (newGroup) {
+        last = {"date" : d[properties.xData], "values" : []};
+        groups.push(last);
+      }
+      last.values.push(d[properties.yData]);
+    });
+
+    return groups.map(function(group) {
+      var row = {};
+      row[properties.xData] = group.date;
+      row[properties.yData] = mean(group.values);
+      row.subgroup = {
+        "n" : group.values.length,
+        "values" : group.values,
+        "range" : max(group.values) - min(group.values),
+        "sd" : group.values.length > 1 ? deviation(group.values) : 0
+      };
+      return row;
+    });
+  };
+
+  /*
+  * Internal - Check whether the subgroups of a process differ in size.
+  */
+  var hasVariableSubgroups = function(rows) {
+    return rows.some(function(d) {
+      return d.subgroup.n != rows[0].subgroup.n;
+    });
+  };
+
+  /**
+  * Internal - Estimate the within-subgroup sigma as the average of each subgroup's range / d2 (or
+  * standard deviation / c4) for its own size.  Subgroups of one value don't say anything about it.
+  *
+  * @param {Array} rows - the rows of a process (excluding any omitted points)
+  * @param {String} spread - "range" or "sd"
+  */
+  var subgroupSigma = function(rows, spread) {
+    return mean(rows.filter(function(d) {
+      return d.subgroup.n > 1;
+    }), function(d) {
+      var c = subgroupConstants(d.subgroup.n);
+      return d.subgroup[spread] / (spread == "range" ? c.d2 : c.c4);
+    });
+  };
+
+  /**
+  * Internal - Statistics for subgroups of different sizes.  The centre line is the grand mean of the
+  * values, and each point's limits are scaled by its own subgroup size (sigma / sqrt(n)).  The limits
+  * of the range (or standard deviation) panel vary by size too.
+  *
+  * @param {Array} rows - the rows of a process (excluding any omitted points)
+  * @param {Object} properties - Properties to configure the SPC chart
+  * @param {String} spread - "range" or "sd"
+  */
+  var variableSubgroupStatistics = function(rows, properties, spread) {
+    var sigma = subgroupSigma(rows, spread);
+    var grandMean = sum(rows, function(d) {
+      return d.subgroup.n * d[properties.yData];
+    }) / sum(rows, function(d) {
+      return d.subgroup.n;
+    });
+
+    /* The centre line and limits of the range (d2 sigma, D3 and D4) or standard deviation (c4 sigma, B3 and B4) */
+    var secondaryAt = function(n) {
+      var c = subgroupConstants(n);
+      var centre = (spread == "range" ? c.d2 : c.c4) * sigma;
+      return {"mean" : centre, "ucl" : (spread == "range" ? c.D4 : c.B4) * centre, "lcl" : (spread == "range" ? c.D3 : c.B3) * centre};
+    };
+    var secondary = secondaryAt(Math.round(mean(rows, function(d) { return d.subgroup.n; })));
+    secondary.at = function(d) {
+      return secondaryAt(d.subgroup.n);
+    };
+
+    return {"mean" : grandMean, "sd" : sigma / Math.sqrt(mean(rows, function(d) { return d.subgroup.n; })),
+    "sdAt" : function(d) {
+      return sigma / Math.sqrt(d.subgroup.n);
+    }, "secondary" : secondary};
+  };
+
+  /**
+  * Internal - Add the moving range (the absolute difference to the previous point) to a copy
+  * of each data point.
+  *
+  * @param {Array} data - the (sorted) data Array
+  * @param {Object} properties - Properties to configure the SPC chart
+  */
+  var movingRangeData = function(data, properties) {
+    return data.map(function(d, i) {
+      var row = Object.assign({}, d);
+      row.movingRange = i == 0 ? null : Math.abs(d[properties.yData] - data[i - 1][properties.yData]);
+      return row;
+    });
+  };
+
+  /*
+  * Internal - Copy each data point, so derived values don't overwrite the input data.
+  */
+  var copyData = function(data, properties) {
+    return data.map(function(d) {
+      return Object.assign({}, d);
+    });
+  };
+
+  /*
+  * Internal - The mean and moving range sigma of individual values, without the moving range panel.
+  */
+  var individualStatistics = function(rows, properties) {
+    var stats = movingRangeStatistics(rows, properties);
+    return {"mean" : stats.mean, "sd" : stats.sd};
+  };
+
+  /**
+  * Internal - Estimate sigma from the average moving range of consecutive rows (MR-bar / d2).
+  * If screening is enabled, moving ranges above the moving range UCL are dropped first.
+  *
+  * @param {Array} rows - the rows of a process (excluding any omitted points)
+  * @param {Object} properties - Properties holding whether to drop moving ranges above 3.267 * MR-bar
+  */
+  var movingRangeStatistics = function(rows, properties) {
+    var c = subgroupConstants(2);
+    var ranges = [];
+    for (let i = 1; i < rows.length; i++) {
+      ranges.push(Math.abs(rows[i][properties.yData] - rows[i - 1][properties.yData]));
+    }
+    var mrBar = mean(ranges);
+    if (properties.mrScreening) {
+      var screened = ranges.filter(function(r) {
+        return r <= c.D4 * mrBar;
+      });
+      mrBar = mean(screened);
+    }
+    return {"mean" : mean(rows, valueOf(properties)), "sd" : mrBar / c.d2,
+    "secondary" : {"mean" : mrBar, "ucl" : c.D4 * mrBar, "lcl" : 0}};
+  };
+
+  /**
+  * Internal - Convert each data point into an attribute statistic (e.g. the proportion defective),
+  * keeping the defect count and sample size in d.attribute.
+  *
+  * @param {Array} data - the (sorted) data Array
+  * @param {Object} properties - Properties to configure the SPC chart
+  */
+  var attributeData = function(data, properties) {
+    var perUnit = ChartTypeEnum[properties.chartType].perUnit;
+    return data.map(function(d) {
+      var row = Object.assign({}, d);
+      var count = +d[properties.numeratorData || properties.yData];
+      var size = properties.denominatorData ? +d[properties.denominatorData] : 1;
+      row.attribute = {"count" : count, "size" : size};
+      row[properties.yData] = perUnit ? count / size : count;
+      return row;
+    });
+  };
+
+  /**
+  * Internal - The average rate (defects / sample size) over the rows of a process.
+  *
+  * @param {Array} rows - the rows of a process (excluding any omitted points)
+  */
+  var attributeRate = function(rows) {
+    return sum(rows, function(d) { return d.attribute.count; }) / sum(rows, function(d) { return d.attribute.size; });
+  };
+
+  /*
+  * Internal - The running means of the chart types, used to find process breaks (see breakFinder).  Each
+  * takes one row at a time (in order, excluding any omitted points), and gives exactly the mean that the
+  * chart type's statistics would give for those rows.
+  */
+  var runningSum = function(accessor) {
+    var total = {"sum" : 0, "count" : 0, "add" : function(d) {
+      var v = accessor(d);
+      v = v === null ? NaN : +v;
+      if (!isNaN(v)) {
+        total.sum += v;
+        total.count++;
+      }
+    }};
+    return total;
+  };
+
+  var valueMean = function(properties) {
+    var values = runningSum(valueOf(properties));
+    return {"add" : values.add, "mean" : function() {
+      return values.count ? values.sum / values.count : undefined;
+    }};
+  };
+
+  /* The grand mean is weighted by subgroup size once the sizes vary (see variableSubgroupStatistics) */
+  var subgroupMean = function(properties) {
+    var values = valueMean(properties);
+    var weighted = runningSum(function(d) { return d.subgroup.n * d[properties.yData]; });
+    var sizes = runningSum(function(d) { return d.subgroup.n; });
+    var first = null, variable = false;
+    return {"add" : function(d) {
+      first = first || d;
+      variable = variable || d.subgroup.n != first.subgroup.n;
+      values.add(d);
+      weighted.add(d);
+      sizes.add(d);
+    }, "mean" : function() {
+      return variable ? weighted.sum / sizes.sum : values.mean();
+    }};
+  };
+
+  var attributeMean = function(properties) {
+    var counts = runningSum(function(d) { return d.attribute.count; });
+    var sizes = runningSum(function(d) { return d.attribute.size; });
+    return {"add" : function(d) {
+      counts.add(d);
+      sizes.add(d);
+    }, "mean" : function() {
+      return counts.sum / sizes.sum;
+    }};
+  };
+
+  var targetMean = function(properties) {
+    var target = leveyJenningsStatistics([], properties).mean;
+    return {"add" : function(d) {}, "mean" : function() {
+      return target;
+    }};
+  };
+
+  /**
+  * Internal - Copy the control values for a Levey-Jennings chart.  With several control levels
+  * (named in properties.levelData), each value is plotted as its distance from the target mean of
+  * its level, in target standard deviations, so that the levels share one set of limits.  The level
+  * and the measured value are kept in d.level.
+  *
+  * @param {Array} data - the (sorted) data Array
+  * @param {Object} properties - Properties holding the level column and the target of each level
+  */
+  var leveyJenningsData = function(data, properties) {
+    if (!properties.levelData) {
+      return copyData(data, properties);
+    }
+    var levels = Object.keys(properties.levels);
+    return data.map(function(d) {
+      var row = Object.assign({}, d);
+      var name = d[properties.levelData];
+      var target = properties.levels[name];
+      if (!target) {
+        throw new Error("No target mean and SD for control level " + name);
+      }
+      row.level = {"name" : name, "index" : levels.indexOf(name), "value" : +d[properties.yData]};
+      row[properties.xData] = new LevelDate(d[properties.xData], name);
+      row[properties.yData] = (d[properties.yData] - target.mean) / target.sd;
+      return row;
+    });
+  };
+
+  /*
+  * Internal - The target mean and standard deviation of a Levey-Jennings chart, which come from
+  * the established values of the control material rather than the data.
+  */
+  var leveyJenningsStatistics = function(rows, properties) {
+    if (properties.levelData) {
+      return {"mean" : 0, "sd" : 1};
+    }
+    if (properties.targetMean === null || properties.targetSd === null) {
+      throw new Error("A Levey-Jennings chart needs the targetMean and targetSd of the control");
+    }
+    return {"mean" : +properties.targetMean, "sd" : +properties.targetSd};
+  };
+
+  /*
+  * Internal - The date of a control run at one level.  The controls of a run usually share a date, and
+  * points are keyed by their date (for signals and exclusions), so the key includes the level.
+  */
+  class LevelDate extends Date {
+    constructor(date, level) {
+      super(+(date instanceof Date ? date : new Date(date)));
+      this.level = level;
+    }
+    toString() {
+      return levelKey(this, this.level);
+    }
+  }
+
+  /*
+  * Internal - The key of a point at a control level.
+  */
+  var levelKey = function(date, level) {
+    return Date.prototype.toString.call(date) + " [" + level + "]";
+  };
+
+  /**
+  * Internal - Replace the values of a process with their exponentially weighted moving average.
+  * The limits start narrow and widen towards their asymptote as the process progresses.
+  *
+  * @param {Array} data - the plotted data
+  * @param {Object} process - the process (with the mean and sd of the individual values)
+  * @param {Object} properties - Properties to configure the SPC chart
+  */
+  var ewmaDerive = function(data, process, properties) {
+    var lambda = properties.ewmaLambda;
+    var z = process.mean, t = 0;
+    process.target = process.mean;
+    process.sigma = process.sd;
+    process.signals = {};
+    for (let i = process.startIndex; i <= process.endIndex; i++) {
+      var d = data[i];
+      d.individual = d[properties.yData];
+      if (!isExcluded(d, properties)) {
+        z = lambda * d.individual + (1 - lambda) * z;
+        t++;
+      }
+      d[properties.yData] = z;
+      d.ewmaSd = process.sigma * Math.sqrt(lambda / (2 - lambda) * (1 - Math.pow(1 - lambda, 2 * Math.max(t, 1))));
+      if (!isExcluded(d, properties) && Math.abs(z - process.target) > properties.ewmaL * d.ewmaSd) {
+        process.signals[d[properties.xData]] = z > process.target ? SignalLibrary.ONE_OVER_THREE.id : SignalLibrary.ONE_UNDER_THREE.id;
+      }
+    }
+    /* The control lines are drawn at 3 sd, so scale the sd to put them at L sd */
+    process.sdAt = function(d) {
+      return properties.ewmaL * d.ewmaSd / 3;
+    };
+  };
+
+  /**
+  * Internal - Replace the values of a process with the tabular CUSUM.  The upper sum is plotted
+  * as the value and the lower sum as a negative lower series, with limits at +/- h sd.
+  *
+  * @param {Array} data - the plotted data
+  * @param {Object} process - the process (with the mean and sd of the individual values)
+  * @param {Object} properties - Properties to configure the SPC chart
+  */
+  var cusumDerive = function(data, process, properties) {
+    var k = properties.cusumK * process.sd;
+    var h = properties.cusumH * process.sd;
+    var upper = 0, lower = 0;
+    process.target = process.mean;
+    process.sigma = process.sd;
+    process.signals = {};
+    for (let i = process.startIndex; i <= process.endIndex; i++) {
+      var d = data[i];
+      d.individual = d[properties.yData];
+      if (!isExcluded(d, properties)) {
+        upper = Math.max(0, d.individual - (process.target + k) + upper);
+        lower = Math.max(0, (process.target - k) - d.individual + lower);
+        if (upper > h) {
+          process.signals[d[properties.xData]] = SignalLibrary.ONE_OVER_THREE.id;
+        } else if (lower > h) {
+          process.signals[d[properties.xData]] = SignalLibrary.ONE_UNDER_THREE.id;
+        }
+      }
+      d[properties.yData] = upper;
+      d.cusumLower = -lower;
+    }
+    /* The control lines are drawn at 3 sd, so centre them on zero with the limits at h.  The process
+    keeps the mean and sd of its individual values */
+    process.limits = {"mean" : 0, "sd" : h / 3};
+  };
+
+  /**
+  * Look up the control chart constants for a subgroup size.
+  *
+  * @param {int} n - the subgroup size
+  */
+  var subgroupConstants = function(n) {
+    n = Math.max(2, Math.min(n || 2, SUBGROUP_CONSTANTS.length + 1));
+    var c = SUBGROUP_CONSTANTS[n - 2];
+    return {"A2" : c[0], "D3" : c[1], "D4" : c[2], "A3" : c[3], "B3" : c[4], "B4" : c[5], "d2" : c[6], "c4" : c[7]};
+  };
+
+  /* Control chart constants for subgroup sizes 2 to 25: A2, D3, D4, A3, B3, B4, d2, c4 */
+  var SUBGROUP_CONSTANTS = [
+    [1.880, 0,     3.267, 2.659, 0,     3.267, 1.128, 0.7979],
+    [1.023, 0,     2.574, 1.954, 0,     2.568, 1.693, 0.8862],
+    [0.729, 0,     2.282, 1.628, 0,     2.266, 2.059, 0.9213],
+    [0.577, 0,     2.114, 1.427, 0,     2.089, 2.326, 0.9400],
+    [0.483, 0,     2.004, 1.287, 0.030, 1.970, 2.534, 0.9515],
+    [0.419, 0.076, 1.924, 1.182, 0.118, 1.882, 2.704, 0.9594],
+    [0.373, 0.136, 1.864, 1.099, 0.185, 1.815, 2.847, 0.9650],
+    [0.337, 0.184, 1.816, 1.032, 0.239, 1.761, 2.970, 0.9693],
+    [0.308, 0.223, 1.777, 0.975, 0.284, 1.716, 3.078, 0.9727],
+    [0.285, 0.256, 1.744, 0.927, 0.321, 1.679, 3.173, 0.9754],
+    [0.266, 0.283, 1.717, 0.886, 0.354, 1.646, 3.258, 0.9776],
+    [0.249, 0.307, 1.693, 0.850, 0.382, 1.618, 3.336, 0.9794],
+    [0.235, 0.328, 1.672, 0.817, 0.406, 1.594, 3.407, 0.9810],
+    [0.223, 0.347, 1.653, 0.789, 0.428, 1.572, 3.472, 0.9823],
+    [0.212, 0.363, 1.637, 0.763, 0.448, 1.552, 3.532, 0.9835],
+    [0.203, 0.378, 1.622, 0.739, 0.466, 1.534, 3.588, 0.9845],
+    [0.194, 0.391, 1.608, 0.718, 0.482, 1.518, 3.640, 0.9854],
+    [0.187, 0.403, 1.597, 0.698, 0.497, 1.503, 3.689, 0.9862],
+    [0.180, 0.415, 1.585, 0.680, 0.510, 1.490, 3.735, 0.9869],
+    [0.173, 0.425, 1.575, 0.663, 0.523, 1.477, 3.778, 0.9876],
+    [0.167, 0.434, 1.566, 0.647, 0.534, 1.466, 3.819, 0.9882],
+    [0.162, 0.443, 1.557, 0.633, 0.545, 1.455, 3.858, 0.9887],
+    [0.157, 0.451, 1.548, 0.619, 0.555, 1.445, 3.895, 0.9892],
+    [0.153, 0.459, 1.541, 0.606, 0.565, 1.435, 3.931, 0.9896]
+  ];
+
+  /*
+  * Internal - Find the (non excluded) points before a point in a process, most recent first.  Rules
+  * such as trends compare a point to these.
+  */
+  var previousPoints = function(data, properties, start, index) {
+    var previous = {"ids" : [], "values" : []};
+    for (let k = index - 1; k >= start && previous.ids.length < MAX_LOOKBACK; k--) {
+      if (!isExcluded(data[k], properties)) {
+        previous.ids.push(data[k][properties.xData]);
+        previous.values.push(data[k][properties.yData]);
+      }
+    }
+    return previous;
+  };
+
+  /*
+  * Internal - if we have a signal, incretment the tracker.  If we are detecting process breaks and we find one,
+  * create a new process and return true.
+  */
+  var incrementSignal = function(signals, signalTracker, signalType, entry, processes, index, autoDetectProcess, properties) {
+    var tracker = signalTracker[signalType.id];
+    tracker.run++;
+    addSignalToTracker(signals, signalTracker, signalType, entry, true);
+
+    if (signalType.processBreak && tracker.run == signalType.length  && autoDetectProcess && new Date(entry.id) < new Date(properties.autoDetectUntil)) {
+      createProcess(processes, index, -1, properties);
+      return true;
+    }
+    return false;
+  };
+
+  /*
+  * Internal - Clear a run of signals.
+  */
+  var clearSignal  = function(signals, signalTracker, signalType, entry) {
+    signalTracker[signalType.id].run = 0;
+    addSignalToTracker(signals, signalTracker, signalType, entry, false);
+  };
+
+  /*
+  * Add a point to the tracker.  If enough points in the rule's window match (and the rule's runRule, if it has
+  * one, accepts them), they are marked as a signal (along with any earlier points the rule looks back over).  Where a point matches several rules, the
+  * shortest rule wins (see outranks).
+  */
+  var addSignalToTracker = function(signals, signalTracker, signalType, entry, hit) {
+    var window = signalTracker[signalType.id].window;
+    window.push({"entry" : entry, "hit" : hit});
+    if (window.length > (signalType.window || signalType.length)) {
+      window.shift();
+    }
+
+    var hits = window.filter(function(w) {
+      return w.hit;
+    });
+    if (hits.length >= signalType.length && (!signalType.runRule || signalType.runRule(hits.map(function(w) {
+      return w.entry;
+    })))) {
+      hits.forEach(function (w) {
+        var ids = [w.entry.id].concat(w.entry.previous.slice(0, signalType.lookback || 0));
+        for (let d of ids) {
+          if (!(d in signals) || outranks(signalType, SignalLibrary[signals[d]])) {
+            signals[d] = signalType.id;
+          }
+        }
+      });
+    }
+  };
+
+  /*
+  * Internal - Whether a rule takes precedence over another for a point that matches both: the shorter rule, though
+  * warnings (e.g. Westgard's 1-2s) give way to any rule that rejects the run.
+  */
+  var outranks = function(signalType, other) {
+    if (!signalType.warning != !other.warning) {
+      return !signalType.warning;
+    }
+    return signalType.length < other.length;
+  };
+
+  /*
+  * Internal - Whether a point is excluded.  There are usually no exclusions, which saves turning each
+  * date into a key.
+  */
+  var isExcluded = function(d, properties) {
+    return !isEmpty(properties.datesToExclude) && d[properties.xData] in properties.datesToExclude;
+  };
+
+  /*
+  * Check whether an object has any children.
+  *
+  * @param {Object} obj - The object to check.
+  */
+  var isEmpty = function(obj) {
+    for(let prop in obj) {
+      if(obj.hasOwnProperty(prop))
+      return false;
+    }
+    return true;
+  };
+
+  /*
+  * Internal - Configure the properties object based on a default.
+  */
+  var configureProperties = function(properties, data) {
+    var defaultProperties = {
+      "processes" : [],
+      "manualProcesses" : [],
+      "breakDates" : null,
+      "autoDetectProcess" : false,
+      "datesToExclude" : {},
+      "exclusionAnnotations" : {},
+      "breakAnnotations" : {},
+      "annotate" : null,
+      "autoDetectUntil" : 0,
+      "dates" : [],
+      "yData" : "Count",
+      "xData" : "Date",
+      "chartType" : "INDIVIDUALS",
+      "ruleSet" : null,
+      "subgroupSize" : 0,
+      "mrScreening" : false,
+      "numeratorData" : null,
+      "denominatorData" : null,
+      "ewmaLambda" : 0.2,
+      "ewmaL" : 3,
+      "cusumK" : 0.5,
+      "cusumH" : 4,
+      "lsl" : null,
+      "usl" : null,
+      "target" : null,
+      "normalityAlpha" : 0.01,
+      "categoryData" : "Category",
+      "categoriesToExclude" : {},
+      "targetMean" : null,
+      "targetSd" : null,
+      "levelData" : null,
+      "levels" : {},
+      "baselines" : [],
+      "baselinePoints" : 0,
+      "annotations" : [],
+      "annotationPeriods" : 0,
+      "projectPeriods" : 0
+    };
+
+    var xData = properties.xData || defaultProperties.xData;
+    data.forEach(function(d) {
+      defaultProperties.dates.push(d[xData]);
+      if (!defaultProperties.autoDetectUntil || d[xData] > defaultProperties.autoDetectUntil) {
+        defaultProperties.autoDetectUntil = d[xData];
+      }
+    });
+
+    for (let key of Object.keys(defaultProperties)) {
+      if (!(key in properties)) {
+        properties[key] = defaultProperties[key];
+      }
+    }
+
+    properties.manualProcesses.sort(function(a, b) {
+      return a - b;
+    });
+
+    properties.processes = [];
+  };
+
+  /**
+  * Chart type definitions.  Each chart type converts the raw data into the plotted
+  * series (prepare), and estimates the mean and standard deviation of a process from
+  * the plotted rows (statistics).  Chart types with a paired panel also define the
+  * value plotted there, and return its limits from statistics.  Subgroup charts estimate
+  * the within-subgroup sigma of the measurements for capability analysis (withinSigma).  A chart type
+  * can also name the rule set it uses unless the properties give one (ruleSet).  A chart type gives its mean
+  * one row at a time too (runningMean), so process breaks are found quickly.  If the mean varies per point, the
+  * value compared to the running mean is scaled to a common mean (runningValue, e.g. the rate of an np chart).
+  */
+  var ChartTypeEnum = {
+    INDIVIDUALS : { "id" : "INDIVIDUALS", "label" : "Count", "prepare" : function(data, properties) {
+      return data;
+    }, "statistics" : function(rows, properties) {
+      return {"mean" : mean(rows, valueOf(properties)), "sd" : deviation(rows, valueOf(properties))};
+    }, "runningMean" : valueMean},
+    I_MR : { "id" : "I_MR", "label" : "Count", "prepare" : movingRangeData, "statistics" : movingRangeStatistics, "runningMean" : valueMean,
+    "secondary" : { "label" : "Moving range", "lagged" : true, "value" : function(d) {
+      return d.movingRange;
+    }}},
+    XBAR_R : { "id" : "XBAR_R", "label" : "Subgroup mean", "prepare" : subgroupData, "statistics" : function(rows, properties) {
+      if (hasVariableSubgroups(rows)) {
+        return variableSubgroupStatistics(rows, properties, "range");
+      }
+      var c = subgroupConstants(Math.round(mean(rows, function(d) { return d.subgroup.n; })));
+      var rBar = mean(rows, function(d) { return d.subgroup.range; });
+      return {"mean" : mean(rows, valueOf(properties)), "sd" : c.A2 * rBar / 3,
+      "secondary" : {"mean" : rBar, "ucl" : c.D4 * rBar, "lcl" : c.D3 * rBar}};
+    }, "withinSigma" : function(rows) {
+      return subgroupSigma(rows, "range");
+    }, "runningMean" : subgroupMean, "secondary" : { "label" : "Range", "value" : function(d) {
+      return d.subgroup.range;
+    }}},
+    XBAR_S : { "id" : "XBAR_S", "label" : "Subgroup mean", "prepare" : subgroupData, "statistics" : function(rows, properties) {
+      if (hasVariableSubgroups(rows)) {
+        return variableSubgroupStatistics(rows, properties, "sd");
+      }
+      var c = subgroupConstants(Math.round(mean(rows, function(d) { return d.subgroup.n; })));
+      var sBar = mean(rows, function(d) { return d.subgroup.sd; });
+      return {"mean" : mean(rows, valueOf(properties)), "sd" : c.A3 * sBar / 3,
+      "secondary" : {"mean" : sBar, "ucl" : c.B4 * sBar, "lcl" : c.B3 * sBar}};
+    }, "withinSigma" : function(rows) {
+      return subgroupSigma(rows, "sd");
+    }, "runningMean" : subgroupMean, "secondary" : { "label" : "Standard deviation", "value" : function(d) {
+      return d.subgroup.sd;
+    }}},
+    P : { "id" : "P", "label" : "Proportion defective", "nonNegative" : true, "perUnit" : true, "prepare" : attributeData, "statistics" : function(rows) {
+      var pBar = attributeRate(rows);
+      var nBar = mean(rows, function(d) { return d.attribute.size; });
+      return {"mean" : pBar, "sd" : Math.sqrt(pBar * (1 - pBar) / nBar), "sdAt" : function(d) {
+        return Math.sqrt(pBar * (1 - pBar) / d.attribute.size);
+      }};
+    }, "runningMean" : attributeMean},
+    NP : { "id" : "NP", "label" : "Number defective", "nonNegative" : true, "prepare" : attributeData, "statistics" : function(rows) {
+      var pBar = attributeRate(rows);
+      var nBar = mean(rows, function(d) { return d.attribute.size; });
+      return {"mean" : nBar * pBar, "sd" : Math.sqrt(nBar * pBar * (1 - pBar)), "meanAt" : function(d) {
+        return d.attribute.size * pBar;
+      }, "sdAt" : function(d) {
+        return Math.sqrt(d.attribute.size * pBar * (1 - pBar));
+      }};
+    }, "runningMean" : attributeMean, "runningValue" : function(d) {
+      /* A count is over its mean (size * pBar) when its rate is over pBar */
+      return d.attribute.count / d.attribute.size;
+    }},
+    C : { "id" : "C", "label" : "Defects", "nonNegative" : true, "prepare" : attributeData, "statistics" : function(rows, properties) {
+      var cBar = mean(rows, valueOf(properties));
+      return {"mean" : cBar, "sd" : Math.sqrt(cBar)};
+    }, "runningMean" : valueMean},
+    U : { "id" : "U", "label" : "Defects per unit", "nonNegative" : true, "perUnit" : true, "prepare" : attributeData, "statistics" : function(rows) {
+      var uBar = attributeRate(rows);
+      var nBar = mean(rows, function(d) { return d.attribute.size; });
+      return {"mean" : uBar, "sd" : Math.sqrt(uBar / nBar), "sdAt" : function(d) {
+        return Math.sqrt(uBar / d.attribute.size);
+      }};
+    }, "runningMean" : attributeMean},
+    EWMA : { "id" : "EWMA", "label" : "EWMA", "controlLines" : ["UCL3_LINE", "MEAN_LINE", "LCL3_LINE"], "prepare" : copyData,
+    "statistics" : individualStatistics, "runningMean" : valueMean, "derive" : ewmaDerive},
+    LEVEY_JENNINGS : { "id" : "LEVEY_JENNINGS", "label" : "Control value", "levelLabel" : "SD from target", "ruleSet" : "WESTGARD",
+    "controlLines" : ["UCL3_LINE", "UCL2_LINE", "UCL1SD_LINE", "MEAN_LINE", "LCL1SD_LINE", "LCL2_LINE", "LCL3_LINE"],
+    "prepare" : leveyJenningsData, "statistics" : leveyJenningsStatistics, "runningMean" : targetMean},
+    CUSUM : { "id" : "CUSUM", "label" : "Cumulative sum", "controlLines" : ["UCL3_LINE", "MEAN_LINE", "LCL3_LINE"], "prepare" : copyData,
+    "statistics" : individualStatistics, "runningMean" : valueMean, "derive" : cusumDerive, "lower" : function(d) {
+      return d.cusumLower;
+    }}
+  };
+
+  /**
+  * Check whether a signal is above or below the mean.
+  *
+  * @param {SignalEnum} sig - The signal to check.
+  */
+  var signalIsBelow = function(sig) {
+    if (SignalLibrary[sig].below) {
+      return true;
+    }
+    return false;
+  };
+
+  /*
+  * Signal definitions.  Every rule that has been registered lives in the library, and
+  * SignalEnum holds the rules that are currently enabled.
+  *
+  * A rule matches a point if rule(value, mean, sd, previous) is true, where previous holds the
+  * values of the earlier points in the process (most recent first).  A signal is found when
+  * length points in a window of consecutive points match (the window defaults to length, i.e. a run).
+  * The lookback is the number of earlier points that also belong to the signal (e.g. the start of a trend).
+  * The glyph is a short code for the rule in the Westgard style (e.g. 2-2s for two points over 2 standard
+  * deviations, 8x for a run of eight on one side of the mean), drawn beside its shape.
+  */
+  var SignalLibrary = {
+    EIGHT_OVER_MEAN : { "id" : "EIGHT_OVER_MEAN", "length" : 8, "index" : 4, "processBreak" : true, "sideOfMean" : true, "rule" : function(v,mean, sd = 0) {
+      if (v > mean) {
+        return true;
+      }
+      return false;
+    }, "shape" : "cross", "colour" : "#00BDA6", "glyph" : "8x",
+    "desc" : "Eight data points in a row over the mean"},
+    EIGHT_UNDER_MEAN : { "id" : "EIGHT_UNDER_MEAN", "length" : 8, "index" : 3, "below" : true, "processBreak" : true, "sideOfMean" : true, "rule" : function(v,mean, sd = 0) {
+      if (v < mean) {
+        return true;
+      }
+      return false;
+    }, "shape" : "diamond", "colour" : "#00BDA6", "glyph" : "8x",
+    "desc" : "Eight data points in a row under the mean"},
+    TWO_OVER_TWO : { "id" : "TWO_OVER_TWO", "length" : 2, "index" : 6, "rule" : function(v,mean,sd) {
+      if (v > mean + sd * 2) {
+        return true;
+      }
+      return false;
+    }, "shape" : "cross", "colour" : "#22919E", "glyph" : "2-2s",
+    "desc" : "Two data points in a row over 2 standard deviations above the mean"},
+    TWO_UNDER_TWO : { "id" : "TWO_UNDER_TWO", "length" : 2, "index" : 1, "below" : true, "rule": function(v,mean, sd) {
+      if (v < mean - sd * 2) {
+        return true;
+      }
+      return false;
+    }, "shape" : "diamond", "colour" : "#22919E", "glyph" : "2-2s",
+    "desc" : "Two data points in a row over 2 standard deviations below the mean"},
+    THREE_OVER_ONE_FIVE : { "id" : "THREE_OVER_ONE_FIVE", "length" : 3, "index" : 5, "rule": function(v,mean, sd) {
+      if (v > mean + sd * 1.5) {
+        return true;
+      }
+      return false;
+    }, "shape" : "cross", "colour" : "#ff7c40", "glyph" : "3-1.5s",
+    "desc" : "Three data points in a row over 1.5 standard deviations above the mean"},
+    THREE_UNDER_ONE_FIVE : { "id" : "THREE_UNDER_ONE_FIVE", "length" : 3, "index" : 2, "below" : true, "rule": function(v,mean, sd) {
+      if (v < mean - sd * 1.5) {
+        return true;
+      }
+      return false;
+    }, "shape" : "diamond", "colour" : "#ff7c40", "glyph" : "3-1.5s",
+    "desc" : "Three data points in a row over 1.5 standard deviations below the mean"},
+    ONE_OVER_THREE : { "id" : "ONE_OVER_THREE", "length" : 1,  "index" : 7, "rule": function(v,mean, sd) {
+      if (v > mean + sd*3) {
+        return true;
+      }
+      return false;
+    }, "shape" : "cross", "colour" : "#eb4551", "glyph" : "1-3s",
+    "desc" : "One data point over 3 standard deviations above the mean"},
+    ONE_UNDER_THREE: { "id" : "ONE_UNDER_THREE", "length" : 1,  "index" : 0, "below" : true, "rule": function(v,mean, sd) {
+      if (v < mean - sd * 3) {
+        return true;
+      }
+      return false;
+    }, "shape" : "diamond", "colour" : "#eb4551", "glyph" : "1-3s",
+    "desc" : "One data point over 3 standard deviations below the mean"},
+    SEVEN_OVER_MEAN : { "id" : "SEVEN_OVER_MEAN", "length" : 7, "processBreak" : true, "sideOfMean" : true, "rule" : function(v, mean, sd) {
+      return v > mean;
+    }, "shape" : "cross", "colour" : "#00BDA6", "glyph" : "7x",
+    "desc" : "Seven data points in a row over the mean"},
+    SEVEN_UNDER_MEAN : { "id" : "SEVEN_UNDER_MEAN", "length" : 7, "below" : true, "processBreak" : true, "sideOfMean" : true, "rule" : function(v, mean, sd) {
+      return v < mean;
+    }, "shape" : "diamond", "colour" : "#00BDA6", "glyph" : "7x",
+    "desc" : "Seven data points in a row under the mean"},
+    NINE_OVER_MEAN : { "id" : "NINE_OVER_MEAN", "length" : 9, "processBreak" : true, "sideOfMean" : true, "rule" : function(v, mean, sd) {
+      return v > mean;
+    }, "shape" : "cross", "colour" : "#00BDA6", "glyph" : "9x",
+    "desc" : "Nine data points in a row over the mean"},
+    NINE_UNDER_MEAN : { "id" : "NINE_UNDER_MEAN", "length" : 9, "below" : true, "processBreak" : true, "sideOfMean" : true, "rule" : function(v, mean, sd) {
+      return v < mean;
+    }, "shape" : "diamond", "colour" : "#00BDA6", "glyph" : "9x",
+    "desc" : "Nine data points in a row under the mean"},
+    TWO_OF_THREE_OVER_TWO : { "id" : "TWO_OF_THREE_OVER_TWO", "length" : 2, "window" : 3, "rule" : function(v, mean, sd) {
+      return v > mean + sd * 2;
+    }, "shape" : "cross", "colour" : "#22919E", "glyph" : "2/3-2s",
+    "desc" : "Two out of three data points over 2 standard deviations above the mean"},
+    TWO_OF_THREE_UNDER_TWO : { "id" : "TWO_OF_THREE_UNDER_TWO", "length" : 2, "window" : 3, "below" : true, "rule" : function(v, mean, sd) {
+      return v < mean - sd * 2;
+    }, "shape" : "diamond", "colour" : "#22919E", "glyph" : "2/3-2s",
+    "desc" : "Two out of three data points over 2 standard deviations below the mean"},
+    FOUR_OF_FIVE_OVER_ONE : { "id" : "FOUR_OF_FIVE_OVER_ONE", "length" : 4, "window" : 5, "rule" : function(v, mean, sd) {
+      return v > mean + sd;
+    }, "shape" : "cross", "colour" : "#ff7c40", "glyph" : "4/5-1s",
+    "desc" : "Four out of five data points over 1 standard deviation above the mean"},
+    FOUR_OF_FIVE_UNDER_ONE : { "id" : "FOUR_OF_FIVE_UNDER_ONE", "length" : 4, "window" : 5, "below" : true, "rule" : function(v, mean, sd) {
+      return v < mean - sd;
+    }, "shape" : "diamond", "colour" : "#ff7c40", "glyph" : "4/5-1s",
+    "desc" : "Four out of five data points over 1 standard deviation below the mean"},
+    SIX_INCREASING : { "id" : "SIX_INCREASING", "length" : 5, "lookback" : 1, "rule" : function(v, mean, sd, previous) {
+      return previous.length > 0 && v > previous[0];
+    }, "shape" : "cross", "colour" : "#8B6BB1", "glyph" : "6\u2191",
+    "desc" : "Six data points in a row increasing"},
+    SIX_DECREASING : { "id" : "SIX_DECREASING", "length" : 5, "lookback" : 1, "below" : true, "rule" : function(v, mean, sd, previous) {
+      return previous.length > 0 && v < previous[0];
+    }, "shape" : "diamond", "colour" : "#8B6BB1", "glyph" : "6\u2193",
+    "desc" : "Six data points in a row decreasing"},
+    SEVEN_INCREASING : { "id" : "SEVEN_INCREASING", "length" : 6, "lookback" : 1, "rule" : function(v, mean, sd, previous) {
+      return previous.length > 0 && v > previous[0];
+    }, "shape" : "cross", "colour" : "#8B6BB1", "glyph" : "7\u2191",
+    "desc" : "Seven data points in a row increasing"},
+    SEVEN_DECREASING : { "id" : "SEVEN_DECREASING", "length" : 6, "lookback" : 1, "below" : true, "rule" : function(v, mean, sd, previous) {
+      return previous.length > 0 && v < previous[0];
+    }, "shape" : "diamond", "colour" : "#8B6BB1", "glyph" : "7\u2193",
+    "desc" : "Seven data points in a row decreasing"},
+    FOURTEEN_ALTERNATING : { "id" : "FOURTEEN_ALTERNATING", "length" : 12, "lookback" : 2, "rule" : function(v, mean, sd, previous) {
+      return previous.length > 1 && (v - previous[0]) * (previous[0] - previous[1]) < 0;
+    }, "shape" : "triangle", "colour" : "#F2B701", "glyph" : "14~",
+    "desc" : "Fourteen data points in a row alternating up and down"},
+    FIFTEEN_WITHIN_ONE : { "id" : "FIFTEEN_WITHIN_ONE", "length" : 15, "rule" : function(v, mean, sd) {
+      return Math.abs(v - mean) < sd;
+    }, "shape" : "circle", "colour" : "#7F8C8D", "glyph" : "15<1s",
+    "desc" : "Fifteen data points in a row within 1 standard deviation of the mean"},
+    EIGHT_OUTSIDE_ONE : { "id" : "EIGHT_OUTSIDE_ONE", "length" : 8, "rule" : function(v, mean, sd) {
+      return Math.abs(v - mean) > sd;
+    }, "runRule" : function(points) {
+      /* Eight on one side is a shift (e.g. NINE_OVER_MEAN), so the run must cross the mean */
+      return points.some(function(p) {
+        return p.value > p.mean;
+      }) && points.some(function(p) {
+        return p.value < p.mean;
+      });
+    }, "shape" : "triangle", "colour" : "#7F8C8D", "glyph" : "8>1s",
+    "desc" : "Eight data points in a row over 1 standard deviation from the mean, on both sides of it"},
+    ONE_OVER_TWO : { "id" : "ONE_OVER_TWO", "length" : 1, "warning" : true, "rule" : function(v, mean, sd) {
+      return v > mean + sd * 2;
+    }, "shape" : "cross", "colour" : "#F2B701", "glyph" : "1-2s",
+    "desc" : "Warning: one data point over 2 standard deviations above the mean (1-2s)"},
+    ONE_UNDER_TWO : { "id" : "ONE_UNDER_TWO", "length" : 1, "warning" : true, "below" : true, "rule" : function(v, mean, sd) {
+      return v < mean - sd * 2;
+    }, "shape" : "diamond", "colour" : "#F2B701", "glyph" : "1-2s",
+    "desc" : "Warning: one data point over 2 standard deviations below the mean (1-2s)"},
+    RANGE_OVER_FOUR : { "id" : "RANGE_OVER_FOUR", "length" : 1, "lookback" : 1, "rule" : function(v, mean, sd, previous) {
+      return previous.length > 0 && Math.abs(v - mean) > sd * 2 && Math.abs(previous[0] - mean) > sd * 2 &&
+      (v - mean) * (previous[0] - mean) < 0;
+    }, "shape" : "triangle", "colour" : "#eb4551", "glyph" : "R-4s",
+    "desc" : "Two data points in a row over 2 standard deviations from the mean, on opposite sides (R-4s)"},
+    FOUR_OVER_ONE : { "id" : "FOUR_OVER_ONE", "length" : 4, "rule" : function(v, mean, sd) {
+      return v > mean + sd;
+    }, "shape" : "cross", "colour" : "#ff7c40", "glyph" : "4-1s",
+    "desc" : "Four data points in a row over 1 standard deviation above the mean (4-1s)"},
+    FOUR_UNDER_ONE : { "id" : "FOUR_UNDER_ONE", "length" : 4, "below" : true, "rule" : function(v, mean, sd) {
+      return v < mean - sd;
+    }, "shape" : "diamond", "colour" : "#ff7c40", "glyph" : "4-1s",
+    "desc" : "Four data points in a row over 1 standard deviation below the mean (4-1s)"},
+    TEN_OVER_MEAN : { "id" : "TEN_OVER_MEAN", "length" : 10, "sideOfMean" : true, "rule" : function(v, mean, sd) {
+      return v > mean;
+    }, "shape" : "cross", "colour" : "#00BDA6", "glyph" : "10x",
+    "desc" : "Ten data points in a row over the mean (10-x)"},
+    TEN_UNDER_MEAN : { "id" : "TEN_UNDER_MEAN", "length" : 10, "below" : true, "sideOfMean" : true, "rule" : function(v, mean, sd) {
+      return v < mean;
+    }, "shape" : "diamond", "colour" : "#00BDA6", "glyph" : "10x",
+    "desc" : "Ten data points in a row under the mean (10-x)"}
+  };
+
+  /*
+  * The rule sets that can be switched between with useRuleSet.
+  */
+  var RuleSets = {
+    DEFAULT : ["EIGHT_OVER_MEAN", "EIGHT_UNDER_MEAN", "TWO_OVER_TWO", "TWO_UNDER_TWO",
+    "THREE_OVER_ONE_FIVE", "THREE_UNDER_ONE_FIVE", "ONE_OVER_THREE", "ONE_UNDER_THREE"],
+    WESTERN_ELECTRIC : ["ONE_OVER_THREE", "ONE_UNDER_THREE", "TWO_OF_THREE_OVER_TWO", "TWO_OF_THREE_UNDER_TWO",
+    "FOUR_OF_FIVE_OVER_ONE", "FOUR_OF_FIVE_UNDER_ONE", "EIGHT_OVER_MEAN", "EIGHT_UNDER_MEAN"],
+    NELSON : ["ONE_OVER_THREE", "ONE_UNDER_THREE", "NINE_OVER_MEAN", "NINE_UNDER_MEAN", "SIX_INCREASING", "SIX_DECREASING",
+    "FOURTEEN_ALTERNATING", "TWO_OF_THREE_OVER_TWO", "TWO_OF_THREE_UNDER_TWO", "FOUR_OF_FIVE_OVER_ONE",
+    "FOUR_OF_FIVE_UNDER_ONE", "FIFTEEN_WITHIN_ONE", "EIGHT_OUTSIDE_ONE"],
+    MAKING_DATA_COUNT : ["ONE_OVER_THREE", "ONE_UNDER_THREE", "SEVEN_OVER_MEAN", "SEVEN_UNDER_MEAN",
+    "SEVEN_INCREASING", "SEVEN_DECREASING", "TWO_OF_THREE_OVER_TWO", "TWO_OF_THREE_UNDER_TWO"],
+    WESTGARD : ["ONE_OVER_TWO", "ONE_UNDER_TWO", "ONE_OVER_THREE", "ONE_UNDER_THREE", "TWO_OVER_TWO", "TWO_UNDER_TWO",
+    "RANGE_OVER_FOUR", "FOUR_OVER_ONE", "FOUR_UNDER_ONE", "TEN_OVER_MEAN", "TEN_UNDER_MEAN"]
+  };
+
+  /* The rules that are currently enabled */
+  var SignalEnum = {};
+
+  /**
+  * Register a signal rule, replacing any existing rule with the same id, and enable it.
+  *
+  * @param {Object} rule - The rule definition, for example:
+  * {
+  *  "id" : "THREE_OVER_TWO", - A unique id.
+  *  "length" : 3, - The number of points that must match.
+  *  "window" : 3, - Optional, the number of consecutive points the matches must fall in (defaults to length).
+  *  "lookback" : 0, - Optional, the number of earlier points that also belong to the signal.
+  *  "rule" : function(v, mean, sd, previous) { return v > mean + 2 * sd; }, - Whether a point matches.
+  *  "shape" : "cross", - "cross", "diamond", "triangle", "circle", or function(container, x, y, size).
+  *  "colour" : "#ff7c40", - The colour of the shape.
+  *  "glyph" : "3-2s", - Optional, a short code drawn beside the shape, so the rules can be told apart without colour.
+  *  "below" : false, - Optional, whether the signal is below the mean.
+  *  "warning" : false, - Optional, whether this is only a warning, shown where no other rule matches.
+  *  "processBreak" : false, - Optional, whether a run of this rule starts a new process when auto detecting.
+  *  "runRule" : function(points) { return true; }, - Optional, whether a run of matching points (each with its
+  *  value and mean) is a signal, for rules about the run as a whole (e.g. points on both sides of the mean).
+  *  "sideOfMean" : false, - Optional, whether the rule is just v > mean (or v < mean if below), which lets
+  *  process breaks be found in linear time.
+  *  "desc" : "Three data points in a row over 2 standard deviations above the mean" - Shown in the legend.
+  * }
+  */
+  var registerRule = function(rule) {
+    SignalLibrary[rule.id] = rule;
+    SignalEnum[rule.id] = rule;
+  };
+
+  /**
+  * Enable a registered signal rule.
+  *
+  * @param {String} id - The rule id
+  */
+  var enableRule = function(id) {
+    SignalEnum[id] = SignalLibrary[id];
+  };
+
+  /**
+  * Disable a signal rule, so that it is no longer detected or shown in the legend.
+  *
+  * @param {String} id - The rule id
+  */
+  var disableRule = function(id) {
+    delete SignalEnum[id];
+  };
+
+  /**
+  * Switch to a set of signal rules, disabling all others.  An unknown rule set or rule id throws an Error,
+  * leaving the enabled rules as they were.
+  *
+  * @param {String|Array} ruleSet - The name of a rule set in RuleSets, or an array of rule ids
+  */
+  var useRuleSet = function(ruleSet) {
+    var ids = ruleSetIds(ruleSet);
+    for (let id in SignalEnum) {
+      disableRule(id);
+    }
+    for (let id of ids) {
+      enableRule(id);
+    }
+  };
+
+  /**
+  * Get the rules used to detect signals.  These are the enabled rules, unless
+  * the properties name a rule set (or a list of rule ids) of their own, or the chart type
+  * has its own rule set (e.g. Westgard for Levey-Jennings).
+  *
+  * @param {Object} properties - Properties to configure the signal processing
+  */
+  var activeRules = function(properties) {
+    var chartType = properties && ChartTypeEnum[properties.chartType];
+    var ruleSet = properties && (properties.ruleSet || (chartType && chartType.ruleSet));
+    if (!ruleSet) {
+      return SignalEnum;
+    }
+    var rules = {};
+    for (let id of ruleSetIds(ruleSet)) {
+      rules[id] = SignalLibrary[id];
+    }
+    return rules;
+  };
+
+  /*
+  * Internal - The rule ids of a rule set (a RuleSets name, or an array of rule ids), checking that they are
+  * all registered.
+  */
+  var ruleSetIds = function(ruleSet) {
+    var has = Object.prototype.hasOwnProperty;
+    var ids = Array.isArray(ruleSet) ? ruleSet : has.call(RuleSets, ruleSet) ? RuleSets[ruleSet] : null;
+    if (!ids) {
+      throw new Error("Unknown rule set: " + ruleSet + " (expected one of " + Object.keys(RuleSets).join(", ") + ")");
+    }
+    for (let id of ids) {
+      if (!has.call(SignalLibrary, id)) {
+        throw new Error("Unknown signal rule: " + id);
+      }
+    }
+    return ids;
+  };
+
+  /**
+  * Get a rule by id, whether or not it is enabled.
+  *
+  * @param {String} id - The rule id
+  */
+  var getRule = function(id) {
+    return SignalLibrary[id];
+  };
+
+  /*
+  * Internal - The length of the runs that start a new process (the minimum length of a process).
+  */
+  var processBreakLength = function(properties) {
+    var rules = activeRules(properties);
+    var length = 0;
+    for (let i in rules) {
+      if (rules[i].processBreak) {
+        length = Math.max(length, rules[i].length);
+      }
+    }
+    return length || SignalLibrary.EIGHT_OVER_MEAN.length;
+  };
+
+  useRuleSet("DEFAULT");
+
+  /**
+  * Declare public functions
+  */
+  return {
+    "analyse" : analyse,
+    "processData" : processData,
+    "appendData" : appendData,
+    "summarise" : summarise,
+    "describeProcess" : describeProcess,
+    "annotationSignals" : annotationSignals,
+    "measurements" : measurements,
+    "capability" : capability,
+    "pareto" : pareto,
+    "normalCdf" : normalCdf,
+    "normalQuantile" : normalQuantile,
+    "normality" : normality,
+    "normalityValues" : normalityValues,
+    "exportState" : exportState,
+    "breakIndices" : breakIndices,
+    "importState" : importState,
+    "configureProperties" : configureProperties,
+    "pointLimits" : pointLimits,
+    "processLimits" : processLimits,
+    "secondaryLimits" : secondaryLimits,
+    "hasVariableLimits" : hasVariableLimits,
+    "processLimitExtent" : processLimitExtent,
+    "subgroupConstants" : subgroupConstants,
+    "isEmpty" : isEmpty,
+    "signalIsBelow" : signalIsBelow,
+    "ChartTypeEnum" : ChartTypeEnum,
+    "SignalEnum" : SignalEnum,
+    "RuleSets" : RuleSets,
+    "registerRule" : registerRule,
+    "enableRule" : enableRule,
+    "disableRule" : disableRule,
+    "useRuleSet" : useRuleSet,
+    "activeRules" : activeRules,
+    "getRule" : getRule,
+    "mean" : mean,
+    "deviation" : deviation,
+    "sum" : sum,
+    "min" : min,
+    "max" : max
+  };
+
+}();
+
+/* In Node there is no window, so export the engine as a module */
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = spcEngine;
+}
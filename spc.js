@@ -7,6 +7,8 @@
 * https://en.wikipedia.org/wiki/Statistical_process_control).
 *
 * It uses the d3 data visaulisation library - https://d3js.org/
+*
+* The statistics are done by the SPC engine, so spc-engine.js must be loaded first.
 */
 spc = window.spc || {};
 
@@ -15,6 +17,15 @@ spc = function () {
   /* The default size of the data points */
   var ICON_SIZE = 9;
 
+  /* The statistics and signal rules come from the SPC engine */
+  var ChartTypeEnum = spcEngine.ChartTypeEnum;
+  var SignalEnum = spcEngine.SignalEnum;
+  var pointLimits = spcEngine.pointLimits;
+  var processLimits = spcEngine.processLimits;
+  var hasVariableLimits = spcEngine.hasVariableLimits;
+  var processLimitExtent = spcEngine.processLimitExtent;
+  var signalIsBelow = spcEngine.signalIsBelow;
+
   /**
   * Wrapper for converting a string to date
   * @param {string} format - The data format
@@ -31,12 +42,421 @@ spc = function () {
     left: 50
   };
 
+  /* The size of the text in the tooltip and process details, and how far they are from what they describe */
+  var TEXT_CHAR_WIDTH = 6.5;
+  var TEXT_LINE_HEIGHT = 15;
+  var TEXT_BOX_PADDING = 6;
+  var TEXT_BOX_OFFSET = 10;
+
+  /* The most excluded dates listed in the process details, and signals in the details of an annotation */
+  var MAX_DETAILS_EXCLUDED = 5;
+  var MAX_DETAILS_SIGNALS = 5;
+
+  /* Annotation labels are staggered over this many rows, so those close together don't overlap */
+  var ANNOTATION_LABEL_ROWS = 3;
+
+  /* Pareto charts have a percentage axis on the right, and a reference line at 80% of the total */
+  var PARETO_MARGIN_RIGHT = 45;
+  var PARETO_REFERENCE = 80;
+
+  /* The proportion of the chart height given to the secondary (range / sigma) panel, and the gap above it */
+  var SECONDARY_HEIGHT = 0.35;
+  var SECONDARY_GAP = 20;
+
+  /* How long (in ms) points added with append take to fade in */
+  var APPEND_DURATION = 500;
+
+  /* With zoom on, an overview of the whole series is drawn below the chart (its axis labels take the gap).
+  The chart can be zoomed in until it shows this many points. */
+  var OVERVIEW_HEIGHT = 40;
+  var OVERVIEW_GAP = 30;
+  var ZOOM_MIN_POINTS = 5;
+
+  /* The canvas renderer draws each kind of point once, on a sprite with room for its glyph, and copies it to
+  each point.  A click or hover within this distance of a line (half the width of spc__lineHit) is on it. */
+  var SPRITE_WIDTH = 64;
+  var SPRITE_HEIGHT = 32;
+  var SPRITE_ORIGIN = 16;
+  var LINE_HIT_DISTANCE = 5;
+
+  /* Each chart clips its lines to its own area, so needs a clip path with its own id */
+  var clipPaths = 0;
+
+  /* The most points listed in the table for screen readers (beyond this, only the signals are listed) */
+  var DATA_TABLE_MAX_POINTS = 5000;
+
+  /* The events a chart reports to the listeners added with its on method (see create) */
+  var CHART_EVENTS = ["pointExcluded", "pointIncluded", "breakAdded", "breakRemoved", "processesRecalculated",
+  "signalDetected", "hover", "render"];
+
+  /* The default properties of the drawing.  The engine adds those of the data processing (see
+  spcEngine.configureProperties) */
+  var DISPLAY_PROPERTIES = {
+    "renderer" : "svg",
+    "zoom" : false,
+    "signalGlyphs" : true,
+    "histogramBins" : 20,
+    "chartUpdateCallback" : function(p){}
+  };
+
+  /* The room left in the legend for the signal glyphs */
+  var LEGEND_GLYPH_WIDTH = 40;
+
+  /* Exported charts have the legend below them, with a row for each entry.  PNGs are drawn at twice
+  the size of the chart, so they stay sharp when printed. */
+  var EXPORT_LEGEND_GAP = 10;
+  var EXPORT_LEGEND_ENTRY_HEIGHT = 20;
+  var EXPORT_PNG_SCALE = 2;
+
+  /* The page style of reports (see exportReport), which print on landscape A4 */
+  var REPORT_STYLE = [
+    "@page { size: A4 landscape; margin: 15mm; }",
+    "body { font-family: sans-serif, arial; font-size: 12px; }",
+    ".spc__reportChart svg { max-width: 100%; height: auto; }",
+    "h2 { page-break-after: avoid; }",
+    "table { border-collapse: collapse; margin-bottom: 15px; }",
+    "th, td { border: 1px solid #BBB; padding: 3px 8px; text-align: left; }",
+    "tr { page-break-inside: avoid; }"
+  ].join("\n");
+
+  /**
+  * Create an SPC chart in a container.  Each chart has its own copy of the properties, so any
+  * number of charts (e.g. with different column names, chart types or rule sets) can share a page.
+  *
+  * @param {String} container - The container where the chart will be rendered
+  * @param {Object} options - Properties to configure the SPC chart (see displayChart)
+  * @returns {Object} The chart, with update(data, options), append(points), resize() and destroy() methods,
+  * exportSVG, exportPNG and exportReport to save it, undo(), redo() and history() for the edits made on it,
+  * and on(type, listener) and off(type) for its events
+  */
+  var create = function(container, options) {
+    var properties = copyProperties(options || {});
+    properties.events = d3.dispatch.apply(null, CHART_EVENTS);
+    var data = null;
+    var plotData = null;
+    var destroyed = false;
+
+    var checkDestroyed = function() {
+      if (destroyed) {
+        throw new Error("The SPC chart in " + container + " has been destroyed");
+      }
+    };
+
+    var checkDrawn = function() {
+      checkDestroyed();
+      if (!data) {
+        throw new Error("The SPC chart in " + container + " has not been drawn");
+      }
+    };
+
+    return {
+      /**
+      * Draw the chart with new data (or redraw the current data if none is given).
+      *
+      * @param {Array} newData - The data to render
+      * @param {Object} newOptions - Properties to change, e.g. {"autoDetectProcess" : true}
+      */
+      "update" : function(newData, newOptions) {
+        checkDestroyed();
+        if (newData) {
+          /* The engine sorts the data, so keep the caller's array in its own order */
+          data = newData.slice();
+        }
+        Object.assign(properties, copyProperties(newOptions || {}));
+        if (data) {
+          plotData = displayChart(data, container, properties);
+        }
+        return this;
+      },
+
+      /**
+      * Add new points (e.g. the latest readings) to the end of the chart.  Only the last process is
+      * updated, and only the new points are drawn, so this is much quicker than update for long series.
+      *
+      * @param {Array} points - The new data points, in date order
+      */
+      "append" : function(points) {
+        checkDestroyed();
+        if (!data) {
+          return this.update(points);
+        }
+        plotData = appendChart(data, plotData, points.slice(), container, properties);
+        return this;
+      },
+
+      /**
+      * Redraw the chart to fit its container, e.g. when the window is resized.
+      */
+      "resize" : function() {
+        checkDestroyed();
+        if (data) {
+          resizeChart(container, properties);
+        }
+        return this;
+      },
+
+      /**
+      * Show part of the chart, e.g. a quarter of several years of data, or all of it again.
+      *
+      * @param {Array} view - The first and last dates to show, or null for the whole chart
+      */
+      "zoom" : function(view) {
+        checkDrawn();
+        if (properties.chartType != "PARETO") {
+          setView(container, plotData, properties, view);
+        }
+        return this;
+      },
+
+      /**
+      * Remove the chart from its container.  The chart can't be used afterwards.
+      */
+      "destroy" : function() {
+        checkDestroyed();
+        d3.select(container).html("");
+        data = null;
+        plotData = null;
+        destroyed = true;
+      },
+
+      /**
+      * Export the exclusions, process breaks (with their annotations) and baselines as JSON keyed by ISO date.
+      */
+      "exportState" : function() {
+        checkDestroyed();
+        return spcEngine.exportState(properties, plotData);
+      },
+
+      /**
+      * Replace the exclusions, process breaks and baselines with a state saved by exportState, and redraw.
+      *
+      * @param {Object} state - The saved state
+      */
+      "importState" : function(state) {
+        checkDestroyed();
+        spcEngine.importState(properties, state);
+        if (data) {
+          plotData = displayChart(data, container, properties);
+        }
+        return this;
+      },
+
+      /**
+      * Draw a histogram of a process, with its capability against the specification limits.
+      *
+      * @param {String} histogramContainer - The container where the histogram will be rendered
+      * @param {int} processIndex - The process to draw, or the last one if not given
+      * @returns {Object} The capability of the process
+      */
+      "histogram" : function(histogramContainer, processIndex) {
+        checkDestroyed();
+        return displayHistogram(data || [], histogramContainer, properties, processIndex);
+      },
+
+      /**
+      * Draw a normal probability plot of a process, with its tests of normality.
+      *
+      * @param {String} plotContainer - The container where the plot will be rendered
+      * @param {int} processIndex - The process to draw, or the last one if not given
+      * @returns {Object} The normality of the process
+      */
+      "probabilityPlot" : function(plotContainer, processIndex) {
+        checkDestroyed();
+        return displayProbabilityPlot(data || [], plotContainer, properties, processIndex);
+      },
+
+      /**
+      * Export the chart, with its legend, as a standalone SVG document (see exportSVG).
+      *
+      * @param {Object} options - Optional, {"legend" : true, "background" : "white"}
+      * @returns {String} The SVG document
+      */
+      "exportSVG" : function(options) {
+        checkDrawn();
+        return exportSVG(container, properties, options);
+      },
+
+      /**
+      * Export the chart, with its legend, as a PNG image (see exportPNG).
+      *
+      * @param {Object} options - Optional, the exportSVG options and the scale, e.g. {"scale" : 3}
+      * @returns {Promise} Resolves to the PNG image as a Blob
+      */
+      "exportPNG" : function(options) {
+        checkDrawn();
+        return exportPNG(container, properties, options);
+      },
+
+      /**
+      * Export a printable report of the chart, its legend, processes and signals (see exportReport).
+      *
+      * @param {Object} options - Optional, {"title" : "Crimes per month", "print" : false}
+      * @returns {String} The HTML page
+      */
+      "exportReport" : function(options) {
+        checkDrawn();
+        return exportReport(container, properties, plotData, options);
+      },
+
+      /**
+      * The annotations of the chart, with the signals that follow each one (see spcEngine.annotationSignals).
+      */
+      "annotations" : function() {
+        checkDrawn();
+        return spcEngine.annotationSignals(plotData, properties);
+      },
+
+      /**
+      * Start a new process at an annotation (at the first point on or after its date), with its label as the
+      * reason for the break, and redraw.
+      *
+      * @param {int} index - The index of the annotation in the annotations property
+      */
+      "breakAtAnnotation" : function(index) {
+        checkDrawn();
+        if (properties.autoDetectProcess) {
+          throw new Error("Process breaks can only be set when automatic detection is disabled");
+        }
+        var annotation = spcEngine.annotationSignals(plotData, properties)[index];
+        if (annotation) {
+          breakAtAnnotation(data, container, plotData, properties, annotation);
+        }
+        return this;
+      },
+
+      /**
+      * Undo the last exclusion, process break added or removed, or reset, and redraw.  This is also bound to
+      * Ctrl+Z on the chart.
+      */
+      "undo" : function() {
+        checkDrawn();
+        undo(data, container, plotData, properties, false);
+        return this;
+      },
+
+      /**
+      * Make the last edit undone again, and redraw.  This is also bound to Ctrl+Y on the chart.
+      */
+      "redo" : function() {
+        checkDrawn();
+        undo(data, container, plotData, properties, true);
+        return this;
+      },
+
+      /**
+      * The edits made on the chart, oldest first, and those undone (which redo makes again, last first).
+      *
+      * @returns {Object} e.g. {"done" : [{"action" : "exclude", "date" : "2016-01-01T00:00:00.000Z",
+      * "annotation" : {...}}], "undone" : []}, where the action is "exclude", "include", "addBreak",
+      * "removeBreak" or "reset", and an edit at a control level (see LEVEY_JENNINGS) also has its level
+      */
+      "history" : function() {
+        checkDestroyed();
+        var history = editHistory(properties);
+        var entry = function(command) {
+          var result = {"action" : command.action, "date" : command.date ? command.date.toISOString() : null,
+          "annotation" : command.annotation ? Object.assign({}, command.annotation) : null};
+          if (command.date && command.date.level !== undefined) {
+            result.level = command.date.level;
+          }
+          return result;
+        };
+        return {"done" : history.done.map(entry), "undone" : history.undone.map(entry)};
+      },
+
+      /**
+      * Remove the exclusions and process breaks made by hand, and detect the processes automatically again.
+      * This can be undone.
+      */
+      "reset" : function() {
+        checkDrawn();
+        edit(data, container, plotData, properties, {"action" : "reset"});
+        return this;
+      },
+
+      /**
+      * Listen for an event of the chart.  As with d3.dispatch, there is one listener for each type and name, so
+      * give a name (e.g. "signalDetected.alerts") to add a listener alongside others.  The events are:
+      *  pointExcluded, pointIncluded - A point was excluded or included again, with its index, date, value, signal
+      *  (the id of its signal rule, or null) and level, and the annotation of the exclusion.
+      *  breakAdded, breakRemoved - A process break was added or removed, with the point it starts at (as above)
+      *  and its annotation.
+      *  processesRecalculated - The processes were found again, with each one's dates, statistics and limits
+      *  (see spcEngine.describeProcess).
+      *  signalDetected - There are new signals, with the points that are signals (as above, with the process
+      *  and the rule's description).  When the chart is first drawn, these are all its signals.
+      *  hover - The cursor (or the keyboard focus) moved to a point (as above), or off the chart (null).
+      *  render - The chart was drawn, resized or zoomed, with its width and height and the dates in view.
+      *
+      * @param {String} type - The type of event, with an optional name, e.g. "breakAdded.log"
+      * @param {function} listener - Called with the event
+      */
+      "on" : function(type, listener) {
+        checkDestroyed();
+        properties.events.on(type, listener);
+        return this;
+      },
+
+      /**
+      * Stop listening for an event.
+      *
+      * @param {String} type - The type of event, and the name it was added with (if any)
+      */
+      "off" : function(type) {
+        checkDestroyed();
+        properties.events.on(type, null);
+        return this;
+      },
+
+      /**
+      * The properties of this chart, including the detected processes.
+      */
+      "properties" : function() {
+        return properties;
+      }
+    };
+  };
+
+  /*
+  * Internal - Add the default properties of the drawing where not specified.
+  */
+  var displayDefaults = function(properties) {
+    for (let key of Object.keys(DISPLAY_PROPERTIES)) {
+      if (!(key in properties)) {
+        properties[key] = DISPLAY_PROPERTIES[key];
+      }
+    }
+  };
+
+  /*
+  * Internal - Copy the properties, so the lists of exclusions and process breaks aren't shared.
+  */
+  var copyProperties = function(options) {
+    var properties = Object.assign({}, options);
+    for (let key of ["datesToExclude", "exclusionAnnotations", "breakAnnotations"]) {
+      if (options[key]) {
+        properties[key] = Object.assign({}, options[key]);
+      }
+    }
+    for (let key of ["manualProcesses", "breakDates", "baselines", "annotations"]) {
+      if (Array.isArray(options[key])) {
+        properties[key] = options[key].slice();
+      }
+    }
+    /* The breaks are kept by date, so breaks given by index replace them (see spcEngine.processData) */
+    if (Array.isArray(options.manualProcesses) && !options.breakDates) {
+      properties.breakDates = null;
+    }
+    return properties;
+  };
+
   /**
   * Draws an SPC chart
   *
   * @param {Array} data - The data to render
   * @param {String} container - The container where the chart will be rendered
   * @param {Object} properties - Properties to configure the SPC chart
+  * @returns {Array} The plotted data (e.g. subgroup means), which the process indices refer to
   *
   * The properties object maintains persistent information regarding the chart,
   * but can also be used to override defaults. For example:
@@ -44,676 +464,2786 @@ spc = function () {
   *  "autoDetectProcess" : false, - Speficies whether the process breaks should be inserted manually.
   *  "autoDetectUntil" : d3.max(data, function(d) { return d[properties.xData]}), - If the above is true,
   only do this up to a certain data (this is more used for demonstration purposes).
-  *  "chartUpdateCallback" = function(p){ }, - Receive an update if the chart is modified.
+  *  "chartUpdateCallback" = function(p){ }, - Receive an update if the chart is modified (spc.create also
+  reports what changed as events, see its on method).
+  *  "annotate" : null, - A function(kind, date) returning an annotation (e.g. {"author" : ..., "reason" : ...}) for
+  exclusions ("exclusion") and process breaks ("break") made by clicking on the chart.
+  *  "chartType" : "INDIVIDUALS", - The type of chart to draw (see ChartTypeEnum), e.g. "I_MR", "XBAR_R", "XBAR_S",
+  "P", "NP", "C", "U", "EWMA", "CUSUM" or "LEVEY_JENNINGS", or "PARETO" for a Pareto chart of categories (see displayPareto).
+  *  "numeratorData" : null, - For attribute charts, the defects column name (defaults to yData).
+  *  "denominatorData" : null, - For p, np and u charts, the sample size column name.
+  *  "ewmaLambda" : 0.2, "ewmaL" : 3, - For EWMA charts, the weight given to each new point and the width of the limits.
+  *  "cusumK" : 0.5, "cusumH" : 4, - For CUSUM charts, the allowance and decision interval in standard deviations.
+  *  "targetMean" : null, "targetSd" : null, - For Levey-Jennings charts, the established mean and standard deviation
+  of the control material, which set the limits instead of the data.
+  *  "levelData" : null, "levels" : {}, - For Levey-Jennings charts of several control levels, the level column name
+  and the target of each level, e.g. {"Low" : {"mean" : 2.1, "sd" : 0.05}, "High" : {"mean" : 7.9, "sd" : 0.2}}.
+  Each value is then plotted as its number of target standard deviations from the target mean.
+  *  "ruleSet" : null, - The signal rules for this chart (a RuleSets name or list of rule ids), if not the enabled
+  rules (or the chart type's own, e.g. "WESTGARD" for Levey-Jennings).
+  *  "mrScreening" : false, - For I-MR charts, drop moving ranges above 3.267 times the average moving range
+  when estimating sigma.
+  *  "normalityAlpha" : 0.01, - Warn that a process's limits may not apply if a test of normality has a p-value below this.
+  *  "baselinePoints" : 0, - If set, the limits of each process come from its first baselinePoints points (phase I)
+  and are frozen, so the later points (phase II) are judged against them.
+  *  "baselines" : [], - Dates that end the baseline of the process they are in, in place of baselinePoints.
+  *  "projectPeriods" : 0, - Draw the limits of the last process this many periods (the usual time between points)
+  past the last point.
+  *  "annotations" : [], - Events to mark on the chart, e.g. {"date" : "2014-04-01", "label" : "New policing policy"},
+  with an "end" date if they span a date range (see drawAnnotations).
+  *  "annotationPeriods" : 0, - Shade this many points after each annotation, and list the signals among them
+  (and in its date range) in its details, as the signals it may explain.
+  *  "renderer" : "svg", - "canvas" draws the points, lines and limits on a canvas, rather than as SVG elements,
+  for long series (e.g. tens of thousands of points), which the browser would be slow to draw as SVG.
+  *  "zoom" : false, - Zoom and pan along the x axis with the mouse wheel and by dragging, with an overview of
+  the whole series below the chart, whose brush shows (and sets) the part in view.
+  *  "signalGlyphs" : true, - Draw each signal's rule code (e.g. 2-2s) beside its shape, so signals can be told
+  apart without their colours.
+  *  "lsl" : null, "usl" : null, "target" : null, - The specification limits and target, for the histogram and
+  its capability indices (see displayHistogram).
+  *  "subgroupSize" : 0, - For subgroup charts, the number of consecutive rows in each subgroup. If 0,
+  rows sharing the same date form a subgroup.  If the subgroups vary in size, so do the limits of each point.
   *  "xData" : "Date", - The date data column name
   *  "yData" : "Count" - The count data column name
   * }
   *
   * So that we can resize the chart, we do only data processing and
   * signal detection here, and do the drawing in resizeChart.  Since you many want multiple SPC charts drawn,
-  * nothing persists in this library, and is instead stored in the properties object.
+  * nothing persists in this library, and is instead stored in the properties object (spc.create keeps
+  * a properties object for each chart).
   *
   */
-  displayChart = function(data, container, properties) {
+  var displayChart = function(data, container, properties) {
+    displayDefaults(properties);
+
+    /* Pareto charts show categories rather than a process over time */
+    if (properties.chartType == "PARETO") {
+      return displayPareto(data, container, properties);
+    }
 
     /* Clear the container */
     d3.select(container).html("");
 
-    /* Add default properties where not specified */
-    configureProperties(properties, data);
+    /* Add default properties where not specified, then detect the processes and signals.  The
+    plotted data is the data itself for individuals, or e.g. the subgroup means */
+    var plotData = spcEngine.processData(data, properties);
+    var chartType = ChartTypeEnum[properties.chartType];
+    processesEvents(plotData, properties);
+
+    /* Add the SVG container to the parent container.  It takes the focus when clicked, so edits made with the
+    mouse can be undone with the keyboard (see historyKeydown) */
+    var g = d3.select(container).append("svg")
+    .attr("width", '100%')
+    .attr("height", '100%')
+    .attr("tabindex", -1)
+    .style("outline", "none")
+    .on("keydown", function() {
+      historyKeydown(data, container, plotData, properties);
+    })
+    .append("g")
+    .attr("transform", "translate(" + margin.left  + "," + margin.top + ")");
+
+    /* We store the x and y scales and axes in the properties object so we can resize.  The x axis shows
+    the part of the chart in view (see setView), which is kept when the chart is redrawn. */
+    properties.x = d3.scaleUtc().rangeRound([0, 0]);
+    properties.y = d3.scaleLinear().rangeRound([0, 0]),
+    properties.xExtent = xDomain(plotData, properties);
+    properties.xView = clampView(properties.xView, properties.xExtent);
+    properties.x.domain(properties.xView || properties.xExtent);
+    properties.xAxis = d3.axisBottom(properties.x);
+    properties.xAxis.ticks(8);
+    g.append("g")
+    .attr("class", "axis spc__axis--x");
+    properties.yAxis = d3.axisLeft(properties.y);
+    var axisY = g.append("g");
+    axisY.attr("class", "axis spc__axis--y")
+    .append("text")
+    .attr("fill", "#000")
+    .attr("transform", "rotate(-90)")
+    .attr("y", 6)
+    .attr("dy", "0.71em")
+    .style("text-anchor", "end")
+    .text(properties.levelData && chartType.levelLabel || chartType.label);
+
+    /* Lines are clipped to the chart, so those of processes partly in view stop at its edges */
+    g.append("defs").append("clipPath")
+    .attr("class", "spc__clip")
+    .attr("id", "spc__clip" + (++clipPaths))
+    .append("rect");
+
+    /* On a canvas, the points, lines and limits are drawn below everything else (see drawCanvas) */
+    var canvas = properties.renderer == "canvas";
+    if (canvas) {
+      g.append("foreignObject").datum(plotData)
+      .attr("class", "spc__canvas")
+      .attr("pointer-events", "none")
+      .append("xhtml:canvas");
+    }
+
+    /* We add a line that shows the x poistion of the cursor */
+    g.append("line").classed("spc__hoverLine", true);
+
+    /* We add a groups that contains all the control lines and process break lines */
+    g.append("g").classed("spc__processLines", true);
+    g.append("g").classed("spc__controlLines", true);
+
+    /* Append each data point (on a canvas, just the one that takes the keyboard focus) */
+    addPoints(g, canvas ? plotData.slice(0, 1) : plotData, data, container, plotData, properties);
+
+
+    d3.select(container).select("svg")
+    .on("mousemove", function() {
+      /* Move the hover line when we move the cursor, and describe the nearest point (on a canvas, the
+      point under the cursor, if there is one) */
+      var mouse = d3.mouse(this);
+      var x = mouse[0]-margin.left;
+      if (x > 0) {
+        var hit = canvas ? canvasPoint(plotData, properties, x, mouse[1] - margin.top) : null;
+        d3.select(this).style("cursor", hit ? "pointer" : null);
+        d3.select(this).select(".spc__hoverLine").style("display", null);
+        d3.select(this).select(".spc__hoverLine").attr("x1", x).attr("x2", x);
+        showTooltip(d3.select(this), plotData, properties, hit ? plotData.indexOf(hit) :
+        nearestPoint(plotData, properties, properties.x.invert(Math.min(x, properties.x.range()[1]))));
+      } else {
+        d3.select(this).select(".spc__hoverLine").style("display", "none");
+        d3.select(this).select(".spc__tooltip").style("display", "none");
+        hoverEvent(plotData, properties, null);
+      }
+    })
+    .on("mouseout", function() {
+      d3.select(this).select(".spc__hoverLine").style("display", "none");
+      d3.select(this).select(".spc__tooltip").style("display", "none");
+      hoverEvent(plotData, properties, null);
+    })
+    .on("click", function() {
+      var mouse = d3.mouse(this);
+      var x = mouse[0]-margin.left, y = mouse[1] - margin.top;
+      /* On a canvas, clicking on a point toggles whether it is excluded, and on a line shows its process */
+      var hit = canvas ? canvasPoint(plotData, properties, x, y) : null;
+      var process = canvas && !hit ? canvasLine(plotData, properties, x, y) : null;
+      if (hit) {
+        toggleExclusion(data, container, properties, hit);
+      } else if (process) {
+        showDetails(g, plotData, properties, process);
+      } else {
+        /* Create a new process when we click on the chart */
+        var xDate = properties.x.invert(x);
+        addBreak(data, container, plotData, properties, d3.bisector(function(d) { return d[properties.xData]; }).right(plotData, xDate, 1));
+      }
+    });
+
+    /* If the chart type has a paired panel (e.g. range or sigma), add it below the main panel */
+    properties.y2 = null;
+    if (chartType.secondary) {
+      var secondary = g.append("g").classed("spc__secondary", true);
+      properties.y2 = d3.scaleLinear().rangeRound([0, 0]);
+      properties.y2Axis = d3.axisLeft(properties.y2);
+      secondary.append("g")
+      .attr("class", "axis spc__axis--y2")
+      .append("text")
+      .attr("fill", "#000")
+      .attr("transform", "rotate(-90)")
+      .attr("y", 6)
+      .attr("dy", "0.71em")
+      .style("text-anchor", "end")
+      .text(chartType.secondary.label);
+    }
+
+    /* Draw each process, and fit the y axes to them */
+    var points = g.selectAll(".spc__point").nodes();
+    for (let i = 0; i < properties.processes.length; ++i) {
+      drawProcess(g, data, container, plotData, i, properties, points);
+    }
+    setYDomains(plotData, properties);
+    drawAnnotations(g, data, container, plotData, properties);
+
+    /* The tooltip goes on top of everything else */
+    g.append("g").classed("spc__tooltip", true).style("display", "none");
+
+    if (properties.zoom) {
+      enableZoom(g, container, plotData, properties);
+    }
+
+    /* Describe the chart for screen readers, and let the keyboard reach the first point (see pointKeydown) */
+    describeChart(container, plotData, properties);
+    g.select(".spc__point").attr("tabindex", 0);
+
+    /* Draw the chart */
+    resizeChart(container, properties);
+    return plotData;
+  };
+
+  /**
+  * Add points to the end of an SPC chart without redrawing it.  Only the last process is updated
+  * (see spcEngine.appendData), and the new points fade in.  If the points can't be appended (e.g. they
+  * are before the last point), the chart is drawn again.
+  *
+  * @param {Array} data - The data the chart was drawn with, which the points are added to
+  * @param {Array} plotData - The plotted data returned by displayChart
+  * @param {Array} points - The new data points, in date order
+  * @param {String} container - The container of the chart
+  * @param {Object} properties - Properties of the SPC chart (see displayChart)
+  * @returns {Array} The plotted data
+  */
+  var appendChart = function(data, plotData, points, container, properties) {
+    var g = d3.select(container).select("svg > g");
+    var first = properties.processes.length - 1;
+    var last = properties.processes[first];
+    var rows = g.empty() || properties.chartType == "PARETO" ? null : spcEngine.appendData(data, plotData, points, properties);
+    if (!rows) {
+      for (let d of points) {
+        data.push(d);
+      }
+      return displayChart(data, container, properties);
+    }
+    processesEvents(plotData, properties);
+
+    /* Redraw the last process, and draw any new processes found in the new points */
+    removeProcess(g, last);
+    g.select(".spc__details").remove();
+    var newPoints = properties.renderer == "canvas" ? g.selectAll(null) : addPoints(g, rows, data, container, plotData, properties);
+    var pointNodes = g.selectAll(".spc__point").nodes();
+    properties.xExtent = xDomain(plotData, properties);
+    for (let i = first; i < properties.processes.length; ++i) {
+      drawProcess(g, data, container, plotData, i, properties, pointNodes);
+    }
+    setYDomains(plotData, properties);
+    drawAnnotations(g, data, container, plotData, properties);
+    describeChart(container, plotData, properties);
+    resizeChart(container, properties);
+
+    newPoints.style("opacity", 0)
+    .transition().duration(APPEND_DURATION)
+    .style("opacity", 1);
+    return plotData;
+  };
+
+  /*
+  * Internal - Add the points to the chart.  Clicking on a point (or pressing Enter or Space on it) toggles
+  * whether it is excluded, and the keyboard moves between the points (see pointKeydown).  The points are
+  * drawn by drawProcess.
+  */
+  var addPoints = function(g, rows, data, container, plotData, properties) {
+    return g.selectAll("dot").data(rows)
+    .enter().insert("g", ".spc__tooltip")
+    .attr("class", function(d) {
+      return "spc__point" + levelClass(d);
+    })
+    .attr("v", function(d) {
+      return d[properties.xData];
+    })
+    .attr("role", "button")
+    .attr("tabindex", -1)
+    .on("click", function(d) {
+      /* When we click on a data point, toggle whether is should be omitted */
+      toggleExclusion(data, container, properties, d);
+      d3.event.stopPropagation();
+    })
+    .on("keydown", function(d) {
+      pointKeydown(this, d, data, container, plotData, properties);
+    })
+    .on("focus", function(d) {
+      /* Show the hover line and tooltip of the point, as if the cursor was over it */
+      var svg = d3.select(container).select("svg");
+      var x = properties.x(d[properties.xData]);
+      svg.select(".spc__hoverLine").style("display", null).attr("x1", x).attr("x2", x);
+      showTooltip(svg, plotData, properties, plotData.indexOf(d));
+    })
+    .on("blur", function() {
+      var svg = d3.select(container).select("svg");
+      svg.select(".spc__hoverLine").style("display", "none");
+      svg.select(".spc__tooltip").style("display", "none");
+      hoverEvent(plotData, properties, null);
+    });
+  };
+
+  /*
+  * Internal - Toggle whether a point is excluded, and redraw the chart.
+  */
+  var toggleExclusion = function(data, container, properties, d) {
+    var date = d[properties.xData];
+    var plotData = chartData(container);
+    if (date in properties.datesToExclude) {
+      edit(data, container, plotData, properties, {"action" : "include", "date" : date,
+      "annotation" : properties.exclusionAnnotations[date] || null});
+    } else {
+      edit(data, container, plotData, properties, {"action" : "exclude", "date" : date,
+      "annotation" : newAnnotation(properties, "exclusion", date)});
+    }
+  };
+
+  /*
+  * Internal - Start a new process at a point, and redraw the chart.  Process breaks can only be added by
+  * hand when they aren't detected automatically.  The break is annotated by newAnnotation, unless an
+  * annotation is given (e.g. for a break made from an annotation of the chart).
+  */
+  var addBreak = function(data, container, plotData, properties, index, annotation) {
+    if (properties.autoDetectProcess) {
+      window.alert("Process breaks can only be set when automatic detection is disabled");
+    } else if (properties.manualProcesses.indexOf(index) === -1 && index > 0 && index < plotData.length) {
+      var date = plotData[index][properties.xData];
+      edit(data, container, plotData, properties, {"action" : "addBreak", "date" : date,
+      "annotation" : annotation || newAnnotation(properties, "break", date)});
+    }
+  };
+
+  /*
+  * Internal - Remove a process break added by hand, and redraw the chart.
+  */
+  var removeBreak = function(data, container, plotData, properties, index) {
+    if (properties.manualProcesses.indexOf(index) !== -1) {
+      var date = plotData[index][properties.xData];
+      edit(data, container, plotData, properties, {"action" : "removeBreak", "date" : date,
+      "annotation" : properties.breakAnnotations[breaksAt(plotData, properties, properties.breakDates, index)[0]] || null});
+    }
+  };
+
+  /*
+  * Internal - Make an edit (see applyEdit) and keep it in the history, so it can be undone.  A new edit can't
+  * be redone after the edits undone before it.
+  */
+  var edit = function(data, container, plotData, properties, command) {
+    var history = editHistory(properties);
+    history.done.push(command);
+    history.undone = [];
+    applyEdit(data, container, plotData, properties, command, false);
+  };
+
+  /*
+  * Internal - Undo the last edit (or with redo, make the last edit undone again), and redraw the chart.
+  * Returns the edit, or null if there isn't one.
+  */
+  var undo = function(data, container, plotData, properties, redo) {
+    var history = editHistory(properties);
+    var command = (redo ? history.undone : history.done).pop();
+    if (command) {
+      (redo ? history.done : history.undone).push(command);
+      applyEdit(data, container, plotData, properties, command, !redo);
+    }
+    return command || null;
+  };
+
+  /*
+  * Internal - Undo the last edit with Ctrl+Z (or Cmd+Z), and redo it with Ctrl+Y (or Ctrl+Shift+Z).  The point
+  * that was edited takes the focus.
+  */
+  var historyKeydown = function(data, container, plotData, properties) {
+    var event = d3.event;
+    var key = event.key.toLowerCase();
+    if (!(event.ctrlKey || event.metaKey) || (key != "z" && key != "y")) {
+      return;
+    }
+    var command = undo(data, container, plotData, properties, key == "y" || event.shiftKey);
+    if (command && command.date) {
+      focusPoint(container, properties, command.date);
+    }
+    event.preventDefault();
+  };
+
+  /*
+  * Internal - The edits made on a chart, and those undone, kept in properties.history.
+  */
+  var editHistory = function(properties) {
+    if (!properties.history) {
+      properties.history = {"done" : [], "undone" : []};
+    }
+    return properties.history;
+  };
+
+  /*
+  * Internal - Make an edit, or undo it, and redraw the chart.  An edit excludes or includes a point, adds or
+  * removes a process break (each at a date, so they still apply if the chart's points change), or resets the
+  * chart to the processes detected automatically, without any exclusions.  The chart's listeners are told
+  * what changed (see editEvents).  If the chart had the focus, it keeps it.
+  */
+  var applyEdit = function(data, container, plotData, properties, command, reverse) {
+    var before = editState(properties);
+    var action = reverse ? {"exclude" : "include", "include" : "exclude", "addBreak" : "removeBreak",
+    "removeBreak" : "addBreak", "reset" : "restore"}[command.action] : command.action;
+    var date = command.date;
+    var index = date ? plotData.findIndex(function(d) {
+      return String(d[properties.xData]) == String(date);
+    }) : -1;
+
+    if (action == "exclude") {
+      properties.datesToExclude[date] = true;
+      properties.exclusionAnnotations[date] = command.annotation;
+    } else if (action == "include") {
+      delete properties.datesToExclude[date];
+      delete properties.exclusionAnnotations[date];
+    } else if (action == "addBreak" && index > 0 && properties.manualProcesses.indexOf(index) === -1) {
+      properties.breakDates = properties.breakDates.concat([date]);
+      properties.breakAnnotations[date] = command.annotation;
+    } else if (action == "removeBreak" && properties.manualProcesses.indexOf(index) !== -1) {
+      var removed = breaksAt(plotData, properties, properties.breakDates, index);
+      properties.breakDates = properties.breakDates.filter(function(d) {
+        return removed.indexOf(d) === -1;
+      });
+      for (let d of removed) {
+        delete properties.breakAnnotations[d];
+      }
+    } else if (action == "reset") {
+      command.before = before;
+      Object.assign(properties, {"datesToExclude" : {}, "exclusionAnnotations" : {}, "breakDates" : [],
+      "breakAnnotations" : {}, "autoDetectProcess" : true});
+    } else if (action == "restore") {
+      Object.assign(properties, editState(command.before));
+    }
+
+    var focused = d3.select(container).node().contains(document.activeElement);
+    properties.chartUpdateCallback(properties);
+    editEvents(plotData, properties, before, editState(properties));
+    displayChart(data, container, properties);
+    if (focused) {
+      d3.select(container).select("svg").node().focus();
+    }
+  };
+
+  /*
+  * Internal - A copy of the exclusions and process breaks of a chart, and whether they are detected automatically.
+  */
+  var editState = function(properties) {
+    return {
+      "datesToExclude" : Object.assign({}, properties.datesToExclude),
+      "exclusionAnnotations" : Object.assign({}, properties.exclusionAnnotations),
+      "breakDates" : properties.breakDates.slice(),
+      "breakAnnotations" : Object.assign({}, properties.breakAnnotations),
+      "autoDetectProcess" : properties.autoDetectProcess
+    };
+  };
+
+  /*
+  * Internal - Tell the chart's listeners (see create) which points were excluded or included, and which process
+  * breaks were added or removed, by an edit, with the annotations of the exclusions and breaks.
+  */
+  var editEvents = function(plotData, properties, before, after) {
+    var breaks = spcEngine.breakIndices(plotData, after.breakDates, properties);
+    var breaksBefore = spcEngine.breakIndices(plotData, before.breakDates, properties);
+    var annotation = function(state, i) {
+      return state.breakAnnotations[breaksAt(plotData, properties, state.breakDates, i)[0]] || null;
+    };
+    plotData.forEach(function(d, i) {
+      var date = d[properties.xData];
+      var excluded = date in after.datesToExclude;
+      if (excluded != (date in before.datesToExclude)) {
+        emit(properties, excluded ? "pointExcluded" : "pointIncluded", Object.assign(pointEvent(plotData, properties, i),
+        {"annotation" : (excluded ? after : before).exclusionAnnotations[date] || null}));
+      }
+      var broken = breaks.indexOf(i) !== -1;
+      if (broken != (breaksBefore.indexOf(i) !== -1)) {
+        emit(properties, broken ? "breakAdded" : "breakRemoved", Object.assign(pointEvent(plotData, properties, i),
+        {"annotation" : annotation(broken ? after : before, i)}));
+      }
+    });
+  };
+
+  /*
+  * Internal - The dates of the manual process breaks that start at a point.  A break starts at the first point on
+  * or after its date, so this is usually the point's own date.
+  */
+  var breaksAt = function(plotData, properties, breakDates, index) {
+    return breakDates.filter(function(d) {
+      return spcEngine.breakIndices(plotData, [d], properties)[0] === index;
+    });
+  };
+
+  /*
+  * Internal - Keyboard control of a point.  The arrow keys move to the previous and next points (Home and End
+  * to the first and last, Page Up and Page Down to the start of the previous and next process).  Enter or Space
+  * toggles whether the point is excluded, and with Shift starts a new process at the point (or removes the
+  * process break there).  The point keeps the focus when the chart is redrawn.
+  */
+  var pointKeydown = function(node, d, data, container, plotData, properties) {
+    var event = d3.event;
+    var index = plotData.indexOf(d);
+    var date = d[properties.xData];
+    var target = null;
+
+    if (event.key == "ArrowLeft" || event.key == "ArrowDown") {
+      target = Math.max(0, index - 1);
+    } else if (event.key == "ArrowRight" || event.key == "ArrowUp") {
+      target = Math.min(plotData.length - 1, index + 1);
+    } else if (event.key == "Home") {
+      target = 0;
+    } else if (event.key == "End") {
+      target = plotData.length - 1;
+    } else if (event.key == "PageUp" || event.key == "PageDown") {
+      var starts = properties.processes.map(function(p) {
+        return p.startIndex;
+      });
+      var p = d3.bisectRight(starts, index) - 1;
+      target = event.key == "PageUp" ? starts[index > starts[p] ? p : Math.max(0, p - 1)] :
+      starts[Math.min(starts.length - 1, p + 1)];
+    } else if (event.key == "Enter" || event.key == " ") {
+      if (!event.shiftKey) {
+        toggleExclusion(data, container, properties, d);
+      } else if (properties.manualProcesses.indexOf(index) !== -1) {
+        removeBreak(data, container, plotData, properties, index);
+      } else {
+        addBreak(data, container, plotData, properties, index);
+      }
+      focusPoint(container, properties, date);
+    } else {
+      return;
+    }
+    if (target !== null) {
+      panTo(container, plotData, properties, plotData[target][properties.xData]);
+      moveFocus(container, plotData, properties, target, true);
+    }
+    event.preventDefault();
+  };
+
+  /*
+  * Internal - Make a point the one the keyboard reaches the chart on, and optionally focus it.  The points are
+  * in the order of the plotted data, except on a canvas, where the one point that takes the focus moves there.
+  */
+  var moveFocus = function(container, plotData, properties, index, focus) {
+    var points = d3.select(container).selectAll(".spc__point").attr("tabindex", -1);
+    var point = d3.select(points.nodes()[index]);
+    if (properties.renderer == "canvas") {
+      var d = plotData[index];
+      point = points.datum(d)
+      .attr("class", "spc__point" + levelClass(d))
+      .attr("v", d[properties.xData])
+      .attr("transform", "translate(" + properties.x(d[properties.xData]) + "," + properties.y(d[properties.yData]) + ")")
+      .style("display", null);
+      drawPoint(point, d, properties.processes[pointProcess(properties, index)], ChartTypeEnum[properties.chartType], properties);
+      /* It may already have the focus, so it loses it first, to show the tooltip of its new point */
+      point.node().blur();
+    }
+    point.attr("tabindex", 0);
+    if (focus) {
+      point.node().focus();
+    }
+  };
+
+  /*
+  * Internal - Move the keyboard focus to the point at a date (e.g. after the chart has been redrawn).
+  */
+  var focusPoint = function(container, properties, date) {
+    /* On a canvas, the plotted data is kept with the canvas (see displayChart) */
+    var plotData = chartData(container);
+    var index = plotData.findIndex(function(d) {
+      return +d[properties.xData] == +date;
+    });
+    if (plotData.length > 0) {
+      moveFocus(container, plotData, properties, Math.max(0, index), index >= 0);
+    }
+  };
+
+  /*
+  * Internal - The plotted data of a chart: the data of its points, or on a canvas, kept with the canvas.
+  */
+  var chartData = function(container) {
+    var frame = d3.select(container).select(".spc__canvas");
+    return frame.empty() ? d3.select(container).selectAll(".spc__point").data() : frame.datum();
+  };
+
+  /*
+  * Internal - Describe a chart for screen readers: a summary (and how to use the keyboard) on the chart, and a
+  * table of the points (their values, limits and signals) after it, which the spc__screenReader class hides on
+  * screen.  If there are more than DATA_TABLE_MAX_POINTS points, the table only lists the signals.
+  */
+  var describeChart = function(container, plotData, properties) {
+    var rows = [];
+    var signals = 0;
+    properties.processes.forEach(function(process, p) {
+      for (let i = process.startIndex; i <= process.endIndex; i++) {
+        var d = plotData[i];
+        var signal = process.signals[d[properties.xData]];
+        signals += signal ? 1 : 0;
+        if (plotData.length <= DATA_TABLE_MAX_POINTS || signal) {
+          var limits = pointLimits(process, d);
+          rows.push([formatDate(d[properties.xData]) + (d.level ? " (" + d.level.name + ")" : ""), pointValue(d, properties),
+          p + 1, formatNumber(limits.mean), formatNumber(limits.mean - 3 * limits.sd), formatNumber(limits.mean + 3 * limits.sd),
+          signal ? spcEngine.getRule(signal).desc : "", d[properties.xData] in properties.datesToExclude ? "Yes" : ""]);
+        }
+      }
+    });
+
+    var processes = properties.processes.length;
+    d3.select(container).select("svg")
+    .attr("role", "group")
+    .attr("aria-label", "SPC chart of " + plotData.length + " points in " + processes + " process" + (processes == 1 ? "" : "es") +
+    ", with " + signals + " signal" + (signals == 1 ? "" : "s") + ".  Use the arrow keys to move between the points, " +
+    "Enter or Space to exclude a point, and Shift with Enter or Space to start a new process at a point.  " +
+    "Control with Z undoes the last change, and with Y makes it again.  The points are also listed in the table after the chart.");
+
+    d3.select(container).select(".spc__dataTable").remove();
+    var table = d3.select(container).append("table").attr("class", "spc__dataTable spc__screenReader");
+    table.append("caption").text(plotData.length <= DATA_TABLE_MAX_POINTS ? "The points of the SPC chart" :
+    "The signals of the SPC chart (" + plotData.length + " points)");
+    table.append("thead").append("tr").selectAll("th")
+    .data(["Date", "Value", "Process", "Mean", "Lower limit", "Upper limit", "Signal", "Excluded"])
+    .enter().append("th").attr("scope", "col").text(function(h) {
+      return h;
+    });
+    table.append("tbody").selectAll("tr").data(rows)
+    .enter().append("tr").selectAll("td").data(function(row) {
+      return row;
+    })
+    .enter().append("td").text(function(c) {
+      return c;
+    });
+  };
+
+  /*
+  * Internal - The value of a point as text (the measured value, for a control level of a Levey-Jennings chart).
+  */
+  var pointValue = function(d, properties) {
+    var v = d.level ? d.level.value : d[properties.yData];
+    return v == null ? "no value" : formatNumber(+v);
+  };
 
-    /* Sort the data */
-    data.sort(function(a,b) {return a[properties.xData]-b[properties.xData];});
+  /*
+  * Internal - Describe a point for screen readers: its date, value and signal, and whether it is excluded.
+  */
+  var pointLabel = function(d, process, properties) {
+    var label = formatDate(d[properties.xData]) + (d.level ? ", level " + d.level.name : "") + ": " + pointValue(d, properties);
+    if (d[properties.xData] in properties.datesToExclude) {
+      label += ", excluded";
+    } else if (d[properties.xData] in process.signals) {
+      label += ", signal: " + spcEngine.getRule(process.signals[d[properties.xData]]).desc;
+    }
+    return label;
+  };
 
-    /* If we have any outliers that we don't want they we strip them from the data */
-    var strippedData = [];
-    data.forEach(function(d) {
-      var add = true;
-      for (let i in properties.datesToExclude) {
-        if (d[properties.xData] == i) {
-          add = false;
+  /*
+  * Internal - Draw a process: its break line, control lines, line and points (and its lower series and
+  * secondary panel, if the chart type has them).  These are positioned by resizeChart.  On a canvas, the
+  * lines and points are drawn by drawCanvas instead.  The points are the nodes of the spc__point groups.
+  */
+  var drawProcess = function(g, data, container, plotData, i, properties, points) {
+    var process = properties.processes[i];
+    var chartType = ChartTypeEnum[properties.chartType];
+    var rows = plotData.slice(process.startIndex, process.endIndex+1);
+    var canvas = properties.renderer == "canvas";
+
+    /* Define the process lines */
+    if (!process.startIndex == 0) {
+      var processLines = g.select(".spc__processLines");
+      processLines.append("line").classed("processLine_" + process.startIndex, true);
+      var manual = !properties.autoDetectProcess && properties.manualProcesses.indexOf(process.startIndex) !== -1;
+      processLines.append("circle").classed("processSelection_" + process.startIndex, true)
+      .attr("v", process.startIndex)
+      .attr("role", manual ? "button" : "img")
+      .attr("tabindex", manual ? 0 : null)
+      .attr("aria-label", "Process break at " + formatDate(process.startDate) +
+      (manual ? ".  Press Enter or Space to remove it." : ", detected automatically"))
+      .on("click", function() {
+        removeBreak(data, container, plotData, properties, +d3.select(this).attr("v"));
+        d3.event.stopPropagation();
+      })
+      .on("keydown", function() {
+        if (d3.event.key == "Enter" || d3.event.key == " ") {
+          var index = +d3.select(this).attr("v");
+          var date = plotData[index][properties.xData];
+          removeBreak(data, container, plotData, properties, index);
+          focusPoint(container, properties, date);
+          d3.event.preventDefault();
         }
+      });
+    }
+
+    /* If the values don't look normal, the limits may not apply, so warn about it (click for the details) */
+    if (process.normality && process.normality.warning) {
+      var badge = g.insert("g", ".spc__tooltip")
+      .attr("class", "spc__normalityWarning spc__normalityWarning_" + process.startIndex)
+      .attr("v", i)
+      .on("click", function() {
+        showDetails(g, plotData, properties, properties.processes[d3.select(this).attr("v")]);
+        d3.event.stopPropagation();
+      });
+      badge.append("title").text(normalityLines(process.normality).join("\n"));
+      badge.append("circle").attr("r", ICON_SIZE * 0.8);
+      badge.append("text").attr("text-anchor", "middle").attr("dy", "0.35em").text("!");
+    }
+
+    /* Define the control lines.  If the limits vary per point, these are stepped paths.  Limits carried
+    forward from a baseline (or projected past the last point) are drawn separately, dashed */
+    var controlLineDefs = canvas ? {} : chartControlLines(chartType);
+    var phases = limitPhases(process, properties);
+    var baselineEnd = process.baselineEnd != null ? process.baselineEnd : process.endIndex;
+    for (let i in controlLineDefs) {
+      if (hasVariableLimits(process)) {
+        g.insert("path", ".spc__tooltip").datum(plotData.slice(process.startIndex, baselineEnd + 1))
+        .attr("class", "spc__limit " + ControlLinesEnum[i].id + "_" + process.startIndex)
+        .attr("stroke-dasharray", ControlLinesEnum[i].dash);
+      } else {
+        g.insert("line", ".spc__tooltip")
+        .attr("class", "spc__limit " + ControlLinesEnum[i].id + "_" + process.startIndex)
+        .attr("stroke-dasharray", ControlLinesEnum[i].dash);
+      }
+      if (phases.projected) {
+        g.insert(hasVariableLimits(process) ? "path" : "line", ".spc__tooltip").datum(plotData.slice(baselineEnd, process.endIndex + 1))
+        .attr("class", "spc__limit spc__projected " + ControlLinesEnum[i].id + "_projected_" + process.startIndex);
       }
-      if (add) {
-        strippedData.push(d);
+    }
+
+    if (!canvas) {
+      /* Each control level (Levey-Jennings) has its own line */
+      var controlLines = g.select(".spc__controlLines");
+      for (let series of levelSeries(rows)) {
+        controlLines.append("path").datum(series)
+        .attr("class", "spc__line spc__line_" + process.startIndex + levelClass(series[0]));
       }
+
+      /* Clicking on the line of a process (a wider, invisible copy of it) shows the process details */
+      controlLines.append("path").datum(rows)
+      .attr("class", "spc__lineHit spc__lineHit_" + process.startIndex)
+      .attr("v", i)
+      .on("click", function() {
+        showDetails(g, plotData, properties, properties.processes[d3.select(this).attr("v")]);
+        d3.event.stopPropagation();
+      });
+      if (chartType.lower) {
+        drawLowerProcess(g, plotData, process, chartType, properties);
+      }
+    }
+
+    /* Draw either a normal data point or a signal.  The points are in the order of the plotted data, except
+    on a canvas, which only has the point that takes the keyboard focus */
+    var nodes = points.length == plotData.length ? points.slice(process.startIndex, process.endIndex + 1) :
+    points.filter(function(node) {
+      var index = plotData.indexOf(d3.select(node).datum());
+      return index >= process.startIndex && index <= process.endIndex;
+    });
+    d3.selectAll(nodes).each(function(d) {
+      drawPoint(d3.select(this), d, process, chartType, properties);
+    });
+
+    if (chartType.secondary && !canvas) {
+      drawSecondaryProcess(g.select(".spc__secondary"), plotData, process, chartType, properties);
+    }
+  };
+
+  /*
+  * Internal - Draw a point of the main series, and describe it for screen readers.
+  */
+  var drawPoint = function(point, d, process, chartType, properties) {
+    point.selectAll("*").remove();
+    point.attr("aria-label", pointLabel(d, process, properties));
+    drawPointShape(point, pointShape(d, process, chartType, properties, "main"), properties);
+  };
+
+  /*
+  * Internal - Remove what drawProcess drew for a process (except its points), so it can be drawn again.
+  */
+  var removeProcess = function(g, process) {
+    var classes = ["processLine_", "processSelection_", "spc__normalityWarning_", "spc__line_", "spc__lineHit_",
+    "spc__lowerLine_", "spc__lowerPoint_", "spc__line_2_", "spc__secondaryPoint_"];
+    for (let i in ControlLinesEnum) {
+      classes.push(ControlLinesEnum[i].id + "_", ControlLinesEnum[i].id + "_projected_");
+    }
+    for (let i in SecondaryLinesEnum) {
+      classes.push(SecondaryLinesEnum[i].id + "_2_");
+    }
+    g.selectAll(classes.map(function(c) {
+      return "." + c + process.startIndex;
+    }).join(",")).remove();
+  };
+
+  /*
+  * Internal - Where the limits of a process are drawn solid (over its baseline, or all its points if it
+  * doesn't have one), and where they are drawn dashed (carried forward from the baseline over the later
+  * points, and for the last process, projected past the last point if projectPeriods is set).  Limits that
+  * vary per point can't be projected.
+  */
+  var limitPhases = function(process, properties) {
+    var phases = {"baselineEnd" : process.baselineEndDate || process.endDate, "projected" : null};
+
+    /* The x axis runs to the end of any projection */
+    var projectTo = process.endDate;
+    if (properties.projectPeriods > 0 && process === properties.processes[properties.processes.length - 1] &&
+    !hasVariableLimits(process)) {
+      projectTo = properties.xExtent[1];
+    }
+    if (projectTo > phases.baselineEnd) {
+      phases.projected = [phases.baselineEnd, projectTo];
+    }
+    return phases;
+  };
+
+  /*
+  * Internal - The date projectPeriods periods after the last point (null if not projecting), where a period
+  * is the usual (median) time between points.
+  */
+  var projectionDate = function(plotData, properties) {
+    if (!(properties.projectPeriods > 0) || plotData.length < 2) {
+      return null;
+    }
+    var gaps = [];
+    for (let i = 1; i < plotData.length; i++) {
+      var gap = plotData[i][properties.xData] - plotData[i - 1][properties.xData];
+      if (gap > 0) {
+        gaps.push(gap);
+      }
+    }
+    if (gaps.length == 0) {
+      return null;
+    }
+    gaps.sort(function(a, b) {
+      return a - b;
+    });
+    return new Date(+plotData[plotData.length - 1][properties.xData] + properties.projectPeriods * gaps[Math.floor(gaps.length / 2)]);
+  };
+
+  /*
+  * Internal - The x domain of the chart: the dates of the points, and any projection past the last point.
+  */
+  var xDomain = function(plotData, properties) {
+    var extent = d3.extent(plotData, function(d) {
+      return d[properties.xData];
+    });
+    var projected = projectionDate(plotData, properties);
+    if (projected) {
+      extent[1] = projected;
+    }
+    return extent;
+  };
+
+  /*
+  * Internal - Fit the y axes to the control limits of the processes in view (and to the plotted values of
+  * derived statistics, which can run well past their limits).
+  */
+  var setYDomains = function(plotData, properties) {
+    var chartType = ChartTypeEnum[properties.chartType];
+    var maxY = 0, minY = Number.MAX_SAFE_INTEGER;
+    var maxY2 = 0, minY2 = 0;
+    var view = properties.xView;
+    var processes = properties.processes.filter(function(process) {
+      return !view || (process.endDate >= view[0] && process.startDate <= view[1]);
+    });
+    /* The view can be past the last point, over the projected limits */
+    if (processes.length == 0) {
+      processes = properties.processes.slice(-1);
+    }
+    for (let process of processes) {
+      var limitExtent = processLimitExtent(process, plotData, 3.5);
+      if (limitExtent[1] > maxY) {
+        maxY = limitExtent[1];
+      }
+      if (limitExtent[0] < minY) {
+        minY = limitExtent[0];
+      }
+
+      if (chartType.derive) {
+        var rows = plotData.slice(process.startIndex, process.endIndex+1);
+        maxY = Math.max(maxY, d3.max(rows, function(d) { return d[properties.yData]; }));
+        minY = Math.min(minY, d3.min(rows, function(d) { return chartType.lower ? chartType.lower(d) : d[properties.yData]; }));
+      }
+
+      if (properties.y2) {
+        var extent = secondaryExtent(plotData, process, chartType);
+        maxY2 = Math.max(maxY2, extent[1]);
+        minY2 = Math.min(minY2, extent[0]);
+      }
+    }
+
+    properties.y.domain([minY, maxY]);
+    if (properties.y2) {
+      properties.y2.domain([minY2, maxY2 * 1.1]);
+    }
+  };
+
+  /*
+  * Internal - Let the chart be zoomed and panned along the x axis, with the mouse wheel and by dragging, and
+  * draw an overview of the whole series below it, with a brush that shows (and sets) the part in view.  These
+  * are positioned by resizeOverview.
+  */
+  var enableZoom = function(g, container, plotData, properties) {
+    /* The zoom catches the wheel and drags anywhere on the chart, not just over its lines and points */
+    g.insert("rect", ":first-child")
+    .attr("class", "spc__zoomArea")
+    .attr("fill", "none")
+    .attr("pointer-events", "all");
+    properties.xZoom = d3.zoom().on("zoom", function() {
+      setView(container, plotData, properties, d3.event.transform.rescaleX(properties.xOverview).domain());
+    });
+    /* Clicks add process breaks and exclude points, so double clicks don't zoom */
+    g.call(properties.xZoom).on("dblclick.zoom", null);
+
+    /* The overview has its own scales, which always show the whole series */
+    properties.xOverview = d3.scaleUtc();
+    properties.yOverview = d3.scaleLinear().domain(d3.extent(plotData, function(d) {
+      return d[properties.yData];
+    }));
+    var overview = g.append("g")
+    .attr("class", "spc__overview")
+    .on("mousemove", function() {
+      g.select(".spc__hoverLine").style("display", "none");
+      g.select(".spc__tooltip").style("display", "none");
+      hoverEvent(plotData, properties, null);
+      d3.event.stopPropagation();
+    })
+    .on("click", function() {
+      /* Clicking on the overview shouldn't add a process break */
+      d3.event.stopPropagation();
+    });
+    overview.append("rect")
+    .attr("class", "spc__overviewArea")
+    .attr("fill", "none")
+    .attr("pointer-events", "all");
+    overview.append("g").attr("class", "axis spc__axis--overview");
+    overview.append("g").attr("class", "spc__overviewBreaks");
+    overview.append("path").datum(plotData).attr("class", "spc__overviewLine").attr("fill", "none");
+
+    /* Brushing the overview shows that part of the chart, and clearing the brush shows all of it */
+    properties.xBrush = d3.brushX().on("brush end", function() {
+      var selection = d3.event.selection;
+      setView(container, plotData, properties, selection ? selection.map(properties.xOverview.invert) : null);
+    });
+    overview.append("g").attr("class", "spc__brush");
+  };
+
+  /*
+  * Internal - Show part of the chart (or all of it, if the view is null), and fit the y axes to the processes
+  * in view.  The view is kept in properties.xView, so it stays when the chart is redrawn.
+  */
+  var setView = function(container, plotData, properties, view) {
+    properties.xView = clampView(view, properties.xExtent);
+    setYDomains(plotData, properties);
+    resizeChart(container, properties);
+  };
+
+  /*
+  * Internal - Limit a view (the first and last dates to show) to the dates of the chart.  A view of the
+  * whole chart (or of none of it) is null.
+  */
+  var clampView = function(view, extent) {
+    if (!view) {
+      return null;
+    }
+    var start = Math.max(+view[0], +extent[0]);
+    var end = Math.min(+view[1], +extent[1]);
+    if (start >= end || (start == +extent[0] && end == +extent[1])) {
+      return null;
+    }
+    return [new Date(start), new Date(end)];
+  };
+
+  /*
+  * Internal - If the chart is zoomed in, pan it (keeping its zoom) so a date is in the middle of the view,
+  * e.g. to show a point moved to with the keyboard.
+  */
+  var panTo = function(container, plotData, properties, date) {
+    var view = properties.xView;
+    if (view && (date < view[0] || date > view[1])) {
+      var span = view[1] - view[0];
+      var start = Math.max(+properties.xExtent[0], Math.min(+properties.xExtent[1] - span, +date - span / 2));
+      setView(container, plotData, properties, [new Date(start), new Date(start + span)]);
+    }
+  };
+
+  /*
+  * Internal - Whether a date is in the part of the chart in view.  The points out of view are hidden.
+  */
+  var inView = function(properties, date) {
+    var x = properties.x(date);
+    return x >= 0 && x <= properties.x.range()[1];
+  };
+
+  /*
+  * Internal - Report an event to the chart's listeners (see create).  Charts drawn without spc.create
+  * don't have any.
+  */
+  var emit = function(properties, type, event) {
+    if (properties.events) {
+      properties.events.call(type, null, event);
+    }
+  };
+
+  /*
+  * Internal - A point as reported by the events: its index in the plotted data, date, value, signal (the id of
+  * its signal rule, or null) and control level (Levey-Jennings).
+  */
+  var pointEvent = function(plotData, properties, index) {
+    var d = plotData[index];
+    var process = properties.processes[pointProcess(properties, index)];
+    var date = d[properties.xData];
+    return {"index" : index, "date" : date, "value" : d[properties.yData],
+    "signal" : process && process.signals[date] || null, "level" : d.level ? d.level.name : null};
+  };
+
+  /*
+  * Internal - Report the point the cursor (or keyboard focus) is on, or null when it leaves the chart, if it
+  * has moved.
+  */
+  var hoverEvent = function(plotData, properties, index) {
+    if (properties.hoverIndex !== index) {
+      properties.hoverIndex = index;
+      emit(properties, "hover", index === null ? null : pointEvent(plotData, properties, index));
+    }
+  };
+
+  /*
+  * Internal - Report the processes found in the data, and the signals that weren't there when they were
+  * last found (all of them, the first time).  The signals are kept in properties.reportedSignals.
+  */
+  var processesEvents = function(plotData, properties) {
+    if (!properties.events) {
+      return;
+    }
+    emit(properties, "processesRecalculated", {"processes" : properties.processes.map(function(process, p) {
+      return Object.assign({"index" : p}, spcEngine.describeProcess(process, plotData, properties));
+    })});
+
+    var reported = properties.reportedSignals || {};
+    var signals = {};
+    var detected = [];
+    properties.processes.forEach(function(process, p) {
+      for (let i = process.startIndex; i <= process.endIndex; i++) {
+        var d = plotData[i];
+        var signal = process.signals[d[properties.xData]];
+        if (signal) {
+          var key = +d[properties.xData] + " " + (d.level ? d.level.name : "") + " " + signal;
+          signals[key] = true;
+          if (!reported[key]) {
+            detected.push(Object.assign(pointEvent(plotData, properties, i), {"process" : p,
+            "desc" : spcEngine.getRule(signal).desc}));
+          }
+        }
+      }
+    });
+    properties.reportedSignals = signals;
+    if (detected.length > 0) {
+      emit(properties, "signalDetected", {"signals" : detected});
+    }
+  };
+
+  /*
+  * Internal - Annotate an exclusion or process break made on the chart, with when it was made and
+  * anything the annotate property adds (e.g. who made it and why).
+  */
+  var newAnnotation = function(properties, kind, date) {
+    var annotation = {"created" : new Date().toISOString()};
+    if (properties.annotate) {
+      Object.assign(annotation, properties.annotate(kind, date));
+    }
+    return annotation;
+  };
+
+  /*
+  * Internal - Draw the annotations (see spcEngine.annotationSignals) with the process breaks: a line at the
+  * date of each, with its label, shading over its date range (if it has one), and lighter shading over the
+  * annotationPeriods points after it, whose signals it may explain.  Clicking on an annotation (or pressing
+  * Enter or Space on it) shows its details, and with Shift starts a new process at it.  These are positioned
+  * by positionAnnotations.
+  */
+  var drawAnnotations = function(g, data, container, plotData, properties) {
+    var processLines = g.select(".spc__processLines");
+    processLines.selectAll(".spc__annotation").remove();
+    var annotations = processLines.selectAll(".spc__annotation")
+    .data(spcEngine.annotationSignals(plotData, properties))
+    .enter().append("g")
+    .attr("class", "spc__annotation")
+    .attr("role", "button")
+    .attr("tabindex", 0)
+    .attr("aria-label", function(a) {
+      return "Annotation: " + a.label + ", " + annotationDates(a) + ", followed by " + a.signals.length + " signals." +
+      "  Press Enter or Space for its details, or with Shift to start a new process there.";
+    })
+    .on("click", function(a) {
+      annotationAction(g, data, container, plotData, properties, a, d3.event.shiftKey);
+      d3.event.stopPropagation();
+    })
+    .on("keydown", function(a) {
+      if (d3.event.key == "Enter" || d3.event.key == " ") {
+        annotationAction(g, data, container, plotData, properties, a, d3.event.shiftKey);
+        if (d3.event.shiftKey) {
+          focusPoint(container, properties, plotData[Math.min(a.startIndex, plotData.length - 1)][properties.xData]);
+        }
+        d3.event.preventDefault();
+      }
+    });
+    annotations.append("rect").attr("class", "spc__annotationWindow");
+    annotations.append("rect").attr("class", "spc__annotationSpan");
+    annotations.append("line").attr("class", "spc__annotationLine");
+    annotations.append("text").attr("class", "spc__annotationLabel")
+    .attr("dy", "0.71em")
+    .text(function(a) {
+      return a.label;
+    });
+  };
+
+  /*
+  * Internal - Position the annotations, with their labels staggered down the chart.
+  */
+  var positionAnnotations = function(main, plotData, properties, height) {
+    main.selectAll(".spc__annotation").each(function(a, i) {
+      var annotation = d3.select(this);
+      var x = properties.x(new Date(a.date));
+      var end = a.end ? properties.x(new Date(a.end)) : x;
+      var after = properties.annotationPeriods > 0 && a.endIndex >= a.startIndex ?
+      properties.x(plotData[a.endIndex][properties.xData]) : end;
+      setLinePos(annotation.select(".spc__annotationLine"), x, 0, x, height);
+      annotation.select(".spc__annotationSpan")
+      .attr("x", x).attr("y", 0).attr("width", Math.max(0, end - x)).attr("height", height);
+      annotation.select(".spc__annotationWindow")
+      .attr("x", end).attr("y", 0).attr("width", Math.max(0, after - end)).attr("height", height);
+      annotation.select(".spc__annotationLabel")
+      .attr("x", x + TEXT_BOX_PADDING / 2)
+      .attr("y", ICON_SIZE + (i % ANNOTATION_LABEL_ROWS) * TEXT_LINE_HEIGHT);
+    });
+  };
+
+  /*
+  * Internal - Show the details of an annotation, or start a new process at it.
+  */
+  var annotationAction = function(g, data, container, plotData, properties, a, newProcess) {
+    if (newProcess) {
+      breakAtAnnotation(data, container, plotData, properties, a);
+    } else {
+      showAnnotation(g, data, container, plotData, properties, a);
+    }
+  };
+
+  /*
+  * Internal - Show the details of an annotation: its label, dates and the signals that follow it.  If a
+  * process break can be added there, its last line starts a new process at the annotation.
+  */
+  var showAnnotation = function(g, data, container, plotData, properties, a) {
+    var lines = [a.label, annotationDates(a)];
+    if (a.endIndex >= a.startIndex) {
+      lines.push("Signals to " + formatDate(plotData[a.endIndex][properties.xData]) + ": " + a.signals.length);
+    }
+    a.signals.slice(0, MAX_DETAILS_SIGNALS).forEach(function(signal) {
+      lines.push("  " + formatDate(new Date(signal.date)) + ": " + signal.desc);
+    });
+    if (a.signals.length > MAX_DETAILS_SIGNALS) {
+      lines.push("  and " + (a.signals.length - MAX_DETAILS_SIGNALS) + " more");
+    }
+    var canBreak = !properties.autoDetectProcess && a.startIndex > 0 && a.startIndex < plotData.length &&
+    properties.manualProcesses.indexOf(a.startIndex) === -1;
+    if (canBreak) {
+      lines.push("Start a new process here");
+    }
+
+    /* The details are positioned like those of a process (see resizeChart) */
+    g.select(".spc__details").remove();
+    var details = g.append("g").datum({"startDate" : new Date(a.date)}).classed("spc__details", true)
+    .on("click", function() {
+      d3.event.stopPropagation();
+    });
+    var size = drawTextBox(details, lines);
+    if (canBreak) {
+      details.selectAll("tspan").filter(function(l, i) {
+        return i == lines.length - 1;
+      })
+      .classed("spc__detailsAction", true)
+      .on("click", function() {
+        breakAtAnnotation(data, container, plotData, properties, a);
+        d3.event.stopPropagation();
+      });
+    }
+    details.append("text")
+    .classed("spc__detailsClose", true)
+    .attr("x", size.width - TEXT_BOX_PADDING)
+    .attr("y", TEXT_BOX_PADDING)
+    .attr("dy", "0.71em")
+    .attr("text-anchor", "end")
+    .text("\u00D7")
+    .on("click", function() {
+      details.remove();
+      d3.event.stopPropagation();
+    });
+    positionTextBox(details, properties, properties.x(new Date(a.date)) + TEXT_BOX_OFFSET, TEXT_BOX_OFFSET);
+  };
+
+  /*
+  * Internal - Start a new process at an annotation (at the first point on or after its date), with its label
+  * as the reason for the break.
+  */
+  var breakAtAnnotation = function(data, container, plotData, properties, a) {
+    addBreak(data, container, plotData, properties, a.startIndex, {"created" : new Date().toISOString(), "reason" : a.label});
+  };
+
+  /*
+  * Internal - The date of an annotation, or its date range.
+  */
+  var annotationDates = function(a) {
+    return formatDate(new Date(a.date)) + (a.end ? " to " + formatDate(new Date(a.end)) : "");
+  };
+
+  /*
+  * Internal - Split the rows of a process into one series per control level (Levey-Jennings), or
+  * a single series if the points don't have levels.
+  */
+  var levelSeries = function(rows) {
+    var series = [];
+    rows.forEach(function(d) {
+      var i = d.level ? d.level.index : 0;
+      (series[i] = series[i] || []).push(d);
+    });
+    return series.filter(function(s) {
+      return s;
+    });
+  };
+
+  /*
+  * Internal - The class that colours a point or line by its control level.
+  */
+  var levelClass = function(d) {
+    return d && d.level ? " spc__level_" + d.level.index : "";
+  };
+
+  /*
+  * Internal - Find the index of the point nearest to a date.
+  */
+  var nearestPoint = function(plotData, properties, date) {
+    var i = d3.bisector(function(d) { return d[properties.xData]; }).left(plotData, date);
+    if (i >= plotData.length || (i > 0 && date - plotData[i-1][properties.xData] < plotData[i][properties.xData] - date)) {
+      i--;
+    }
+    return i;
+  };
+
+  /*
+  * Internal - Find the process a point belongs to.
+  */
+  var pointProcess = function(properties, index) {
+    for (let i = 0; i < properties.processes.length; i++) {
+      if (index >= properties.processes[i].startIndex && index <= properties.processes[i].endIndex) {
+        return i;
+      }
+    }
+    return -1;
+  };
+
+  /**
+  * Show the tooltip for a point: its date, value, process, distance from the mean in
+  * standard deviations, and its signal.
+  *
+  * @param {Object} svg - The chart's svg selection
+  * @param {Array} plotData - The plotted data
+  * @param {Object} properties - Properties to configure the SPC chart
+  * @param {int} index - The index of the point in the plotted data
+  */
+  var showTooltip = function(svg, plotData, properties, index) {
+    var d = plotData[index];
+    var p = pointProcess(properties, index);
+    if (!d || p == -1) {
+      return;
+    }
+    var process = properties.processes[p];
+    var date = d[properties.xData];
+    var value = d[properties.yData];
+    var limits = pointLimits(process, d);
+    hoverEvent(plotData, properties, index);
+
+    var lines = [formatDate(date), "Value: " + formatNumber(value), "Process: " + (p + 1)];
+    if (d.level) {
+      lines.splice(1, 0, "Level " + d.level.name + ": " + formatNumber(d.level.value));
+    }
+    if (date in properties.datesToExclude) {
+      lines.push("Excluded from the analysis");
+    } else if (limits.sd > 0) {
+      var sigma = (value - limits.mean) / limits.sd;
+      lines.push((sigma < 0 ? "" : "+") + formatNumber(sigma) + "\u03C3 from the mean");
+    }
+    if (date in process.signals) {
+      lines.push("Signal: " + spcEngine.getRule(process.signals[date]).desc);
+    }
+    svg.selectAll(".spc__annotation").each(function(a) {
+      if (index >= a.startIndex && index <= a.endIndex) {
+        lines.push("Annotation: " + a.label);
+      }
+    });
+
+    var tooltip = svg.select(".spc__tooltip").style("display", null);
+    drawTextBox(tooltip, lines);
+    positionTextBox(tooltip, properties, properties.x(date) + TEXT_BOX_OFFSET, properties.y(value) - TEXT_BOX_OFFSET,
+    properties.x(date) - TEXT_BOX_OFFSET);
+  };
+
+  /**
+  * Show the details of a process: its dates, mean, standard deviation and limits, and how many
+  * points it has, are excluded and are signals.
+  *
+  * @param {Object} g - The chart group
+  * @param {Array} plotData - The plotted data
+  * @param {Object} properties - Properties to configure the SPC chart
+  * @param {Object} process - The process (from properties.processes)
+  */
+  var showDetails = function(g, plotData, properties, process) {
+    var p = properties.processes.indexOf(process);
+    var summary = spcEngine.describeProcess(process, plotData, properties);
+
+    var lines = ["Process " + (p + 1) + ": " + formatDate(process.startDate) + " to " + formatDate(process.endDate),
+    "Mean: " + formatNumber(summary.mean), "SD: " + formatNumber(summary.sd)];
+    if (summary.ucl === null) {
+      lines.push("Limits: vary by point");
+    } else {
+      lines.push("Limits: " + formatNumber(summary.lcl) + " to " + formatNumber(summary.ucl));
+    }
+    if (summary.baselineEnd) {
+      lines.push("Limits from the baseline to " + formatDate(new Date(summary.baselineEnd)));
+    }
+    lines.push("Points: " + summary.points, "Signals: " + summary.signalCount, "Excluded: " + summary.excluded.length);
+    summary.excluded.slice(0, MAX_DETAILS_EXCLUDED).forEach(function(date) {
+      lines.push("  " + formatDate(new Date(date)));
+    });
+    if (summary.excluded.length > MAX_DETAILS_EXCLUDED) {
+      lines.push("  and " + (summary.excluded.length - MAX_DETAILS_EXCLUDED) + " more");
+    }
+    lines = lines.concat(normalityLines(summary.normality));
+
+    g.select(".spc__details").remove();
+    var details = g.append("g").datum(process).classed("spc__details", true)
+    .on("click", function() {
+      d3.event.stopPropagation();
+    });
+    var size = drawTextBox(details, lines);
+    details.append("text")
+    .classed("spc__detailsClose", true)
+    .attr("x", size.width - TEXT_BOX_PADDING)
+    .attr("y", TEXT_BOX_PADDING)
+    .attr("dy", "0.71em")
+    .attr("text-anchor", "end")
+    .text("\u00D7")
+    .on("click", function() {
+      details.remove();
+      d3.event.stopPropagation();
+    });
+    positionTextBox(details, properties, properties.x(process.startDate) + TEXT_BOX_OFFSET, TEXT_BOX_OFFSET);
+  };
+
+  /*
+  * Internal - Draw lines of text on a background into a group, and return the size of the box.  We
+  * estimate the width from the number of characters, since text can't be measured until it is shown.
+  */
+  var drawTextBox = function(group, lines) {
+    var longest = d3.max(lines, function(l) { return l.length; });
+    var size = {
+      "width" : Math.ceil(longest * TEXT_CHAR_WIDTH + 3 * TEXT_BOX_PADDING),
+      "height" : lines.length * TEXT_LINE_HEIGHT + 2 * TEXT_BOX_PADDING
+    };
+    group.selectAll("*").remove();
+    group.append("rect")
+    .attr("width", size.width)
+    .attr("height", size.height);
+    group.append("text").selectAll("tspan").data(lines)
+    .enter().append("tspan")
+    .attr("x", TEXT_BOX_PADDING)
+    .attr("y", function(l, i) {
+      return TEXT_BOX_PADDING + i * TEXT_LINE_HEIGHT;
+    })
+    .attr("dy", "0.71em")
+    .text(function(l) {
+      return l;
+    });
+    group.property("spcBoxSize", size);
+    return size;
+  };
+
+  /*
+  * Internal - Position a text box at (x, y), keeping it inside the chart.  If it would go off the
+  * right hand side, it is drawn to the left of leftX instead.
+  */
+  var positionTextBox = function(group, properties, x, y, leftX) {
+    var size = group.property("spcBoxSize");
+    var width = properties.x.range()[1];
+    var height = properties.y.range()[0];
+    if (x + size.width > width) {
+      x = (leftX === undefined ? width : leftX) - size.width;
+    }
+    x = Math.max(0, x);
+    y = Math.max(0, Math.min(y, height - size.height));
+    group.attr("transform", "translate(" + x + "," + y + ")");
+  };
+
+  /*
+  * Internal - Format a date (with the time, if it isn't midnight) and a number for the tooltips.
+  */
+  var formatDate = function(date) {
+    return date.getUTCHours() || date.getUTCMinutes() || date.getUTCSeconds() ?
+    d3.utcFormat("%d %b %Y %H:%M:%S")(date) : d3.utcFormat("%d %b %Y")(date);
+  };
+
+  var formatNumber = function(v) {
+    return d3.format(Number.isInteger(v) ? "," : ",.2f")(v);
+  };
+
+  /**
+  * Internal function for drawing the lower series of a process (e.g. the lower CUSUM).  Signals
+  * below the mean are drawn on this series.
+  *
+  * @param {Object} g - The chart group
+  * @param {Array} plotData - The plotted data
+  * @param {Object} process - The process to draw
+  * @param {Object} chartType - The chart type (see ChartTypeEnum)
+  * @param {Object} properties - Properties to configure the SPC chart
+  */
+  var drawLowerProcess = function(g, plotData, process, chartType, properties) {
+    var rows = plotData.slice(process.startIndex, process.endIndex+1);
+    g.append("path").datum(rows)
+    .attr("class", "spc__line spc__lowerLine_" + process.startIndex);
+
+    g.selectAll("dot").data(rows)
+    .enter().append("g")
+    .attr("class", "spc__lowerPoint spc__lowerPoint_" + process.startIndex)
+    .each(function(d) {
+      drawPointShape(d3.select(this), pointShape(d, process, chartType, properties, "lower"), properties);
+    });
+  };
+
+  /**
+  * Internal function for drawing a process in the secondary (range / sigma) panel.  Points outside
+  * the secondary control limits are drawn with the single point signal shapes.
+  *
+  * @param {Object} secondary - The secondary panel group
+  * @param {Array} plotData - The plotted data
+  * @param {Object} process - The process to draw
+  * @param {Object} chartType - The chart type (see ChartTypeEnum)
+  * @param {Object} properties - Properties to configure the SPC chart
+  */
+  var drawSecondaryProcess = function(secondary, plotData, process, chartType, properties) {
+    var rows = secondaryRows(plotData, process, chartType);
+    /* If the subgroups vary in size, so do the limits, and they are drawn as stepped paths */
+    for (let i in SecondaryLinesEnum) {
+      secondary.append(process.secondary.at ? "path" : "line").datum(rows)
+      .attr("class", "spc__limit " + SecondaryLinesEnum[i].id + "_2_" + process.startIndex)
+      .attr("stroke-dasharray", SecondaryLinesEnum[i].dash);
+    }
+    secondary.append("path").datum(rows)
+    .attr("class", "spc__line spc__line_2_" + process.startIndex);
+
+    secondary.selectAll("dot").data(rows)
+    .enter().append("g")
+    .attr("class", "spc__secondaryPoint spc__secondaryPoint_" + process.startIndex)
+    .each(function(d) {
+      drawPointShape(d3.select(this), pointShape(d, process, chartType, properties, "secondary"), properties);
+    });
+  };
+
+  /*
+  * Internal - The shape a point is drawn with: "excluded", "point", or the id of its signal.  The series is
+  * "main", "lower" (which has the signals below the mean, for chart types with a lower series) or
+  * "secondary" (where the points outside the secondary limits are signals).
+  */
+  var pointShape = function(d, process, chartType, properties, series) {
+    var date = d[properties.xData];
+    var sig = process.signals[date];
+    if (date in properties.datesToExclude) {
+      return "excluded";
+    }
+    if (series == "secondary") {
+      var value = chartType.secondary.value(d);
+      var limits = spcEngine.secondaryLimits(process, d);
+      return value > limits.ucl ? "ONE_OVER_THREE" : value < limits.lcl ? "ONE_UNDER_THREE" : "point";
+    }
+    /* If the chart has a lower series, signals below the mean are drawn there */
+    if (sig && (series == "lower" ? signalIsBelow(sig) : !(chartType.lower && signalIsBelow(sig)))) {
+      return sig;
+    }
+    return "point";
+  };
+
+  /*
+  * Internal - Draw a point's shape (see pointShape), centred on (0, 0).
+  */
+  var drawPointShape = function(container, shape, properties) {
+    if (shape == "excluded") {
+      createCircle(ICON_SIZE, 0, 0, container, "grey");
+    } else if (shape == "point") {
+      container.append("rect")
+      .attr("x", ICON_SIZE * -0.5)
+      .attr("y", ICON_SIZE * -0.5)
+      .attr("width" , ICON_SIZE).attr("height" , ICON_SIZE);
+    } else {
+      drawSignal(shape, container, 0, 0, ICON_SIZE, properties.signalGlyphs);
+    }
+  };
+
+  /*
+  * Internal - The rows of a process plotted in the secondary panel.
+  */
+  var secondaryRows = function(plotData, process, chartType) {
+    var value = chartType.secondary.value;
+    return plotData.slice(process.startIndex, process.endIndex+1).filter(function(d, i) {
+      /* Lagged values (e.g. moving ranges) span the previous process, so skip the first point */
+      return value(d) != null && !(i == 0 && chartType.secondary.lagged);
+    });
+  };
+
+  /*
+  * Internal - The min and max of the secondary values and limits of a process.
+  */
+  var secondaryExtent = function(plotData, process, chartType) {
+    var value = chartType.secondary.value;
+    var rows = secondaryRows(plotData, process, chartType);
+    return [
+      Math.min(d3.min(rows, function(d) { return spcEngine.secondaryLimits(process, d).lcl; }), d3.min(rows, value)),
+      Math.max(d3.max(rows, function(d) { return spcEngine.secondaryLimits(process, d).ucl; }), d3.max(rows, value))
+    ];
+  };
+
+  /**
+  * Resize an existing SPC chart
+  *
+  * @param {String} container - The container where the chart is rendered
+  * @param {Object} properties - Properties to configure the SPC chart
+  */
+  var resizeChart = function(container, properties) {
+    if (properties.chartType == "PARETO") {
+      resizePareto(container, properties);
+      return;
+    }
+
+    /* Define the width and height of the chart */
+    var main = d3.select(container);
+    var box = d3.select(container).node().getBoundingClientRect();
+    var width = box.width - margin.right - margin.left;
+    var height = box.height - margin.top - margin.bottom;
+
+    /* If we have an overview, it takes the bottom of the chart */
+    var overview = main.select(".spc__overview");
+    if (!overview.empty()) {
+      height -= OVERVIEW_HEIGHT + OVERVIEW_GAP;
+    }
+
+    /* If we have a secondary panel, the main panel only takes the top part of the chart */
+    var mainHeight = height;
+    if (properties.y2) {
+      mainHeight = Math.round((height - SECONDARY_GAP) * (1 - SECONDARY_HEIGHT));
+    }
+
+    /* Position the X axis */
+    main.select(".spc__axis--x")
+    .attr("transform", "translate(0," + height + ")")
+
+    /* Set the range of the x and y axes, and the part of the chart in view */
+    properties.x.domain(properties.xView || properties.xExtent).rangeRound([0, width]);
+    properties.y.rangeRound([mainHeight, 0]);
+
+    /* Define the number of ticks based on the size of the chart */
+    properties.xAxis.ticks(width / 100);
+    main.select(".spc__axis--x").call(properties.xAxis);
+    properties.yAxis.ticks(mainHeight / 50  );
+    main.select(".spc__axis--y").call(properties.yAxis);
+
+    if (properties.y2) {
+      resizeSecondary(main, properties, height - mainHeight - SECONDARY_GAP);
+      main.select(".spc__secondary").attr("transform", "translate(0," + (mainHeight + SECONDARY_GAP) + ")");
+    }
+
+    /* Create a line function for this chart */
+    var line = d3.line()
+    .x(function(d) {
+      return properties.x(d[properties.xData]);
+    })
+    .y(function(d) {
+      return properties.y(d[properties.yData]);
+    });
+
+    /* Position the data points, and hide those out of view */
+    main.selectAll(".spc__point").each(function(d) {
+      d3.select(this).attr("transform", "translate(" + properties.x(d[properties.xData]) + "," + properties.y(d[properties.yData]) + ")")
+      .style("display", inView(properties, d[properties.xData]) ? null : "none");
+    });
+
+    /* Clip the lines to the chart, leaving room for the points at its edges */
+    var clip = main.select(".spc__clip");
+    clip.select("rect")
+    .attr("x", -ICON_SIZE)
+    .attr("y", -margin.top)
+    .attr("width", width + 2 * ICON_SIZE)
+    .attr("height", height + margin.top + margin.bottom);
+    main.selectAll(".spc__line, .spc__lineHit, .spc__limit, .spc__processLines").attr("clip-path", "url(#" + clip.attr("id") + ")");
+
+    /* If the point the keyboard reaches the chart on is out of view, it moves to the first point in view */
+    var tabbable = main.select(".spc__point[tabindex='0']");
+    if (!tabbable.empty() && tabbable.style("display") == "none") {
+      var plotData = chartData(container);
+      var first = d3.bisector(function(d) { return d[properties.xData]; }).left(plotData, properties.x.domain()[0]);
+      if (first < plotData.length) {
+        moveFocus(container, plotData, properties, first, false);
+      }
+    }
+
+    /* Attribute charts can't go below zero, so neither can their limits */
+    var limitValue = function(v) {
+      return ChartTypeEnum[properties.chartType].nonNegative ? Math.max(0, v) : v;
+    };
+
+    /* Position the lower series, if the chart type has one */
+    var lower = ChartTypeEnum[properties.chartType].lower;
+    if (lower) {
+      main.selectAll(".spc__lowerPoint").each(function(d) {
+        d3.select(this).attr("transform", "translate(" + properties.x(d[properties.xData]) + "," + properties.y(lower(d)) + ")")
+        .style("display", inView(properties, d[properties.xData]) ? null : "none");
+      });
+      for (let j of properties.processes) {
+        main.select(".spc__lowerLine_" + j.startIndex).attr("d", d3.line()
+        .x(function(d) {
+          return properties.x(d[properties.xData]);
+        })
+        .y(function(d) {
+          return properties.y(lower(d));
+        }));
+      }
+    }
+
+    /* Position the process break lines and control limit lines */
+    var controlLineDefs = chartControlLines(ChartTypeEnum[properties.chartType]);
+    for (let j of properties.processes ) {
+      setLinePos(main.select(".processLine_" + j.startIndex), properties.x(j.startDate), 0, properties.x(j.startDate), height);
+      main.select(".processSelection_" + j.startIndex).attr("cx", properties.x(j.startDate)).attr("cy", 0.5 * ICON_SIZE).attr("r", 0.5*ICON_SIZE);
+      main.select(".spc__normalityWarning_" + j.startIndex)
+      .attr("transform", "translate(" + (properties.x(j.startDate) + 1.5 * ICON_SIZE) + "," + ICON_SIZE + ")")
+      .style("display", inView(properties, j.startDate) ? null : "none");
+      var phases = limitPhases(j, properties);
+      for (let i in controlLineDefs) {
+        var limit = main.select("." + ControlLinesEnum[i].id + "_" + j.startIndex);
+        var projected = main.select("." + ControlLinesEnum[i].id + "_projected_" + j.startIndex);
+        if (hasVariableLimits(j)) {
+          /* Variable limits step at the midpoint between each data point */
+          var stepped = d3.line().curve(d3.curveStep)
+          .x(function(d) {
+            return properties.x(d[properties.xData]);
+          })
+          .y(function(d) {
+            var limits = pointLimits(j, d);
+            return properties.y(limitValue(limits.mean + ControlLinesEnum[i].index * limits.sd));
+          });
+          limit.attr("d", stepped);
+          projected.attr("d", stepped);
+        } else {
+          var centre = processLimits(j);
+          var y = properties.y(limitValue(centre.mean + ControlLinesEnum[i].index * centre.sd));
+          if (j.startDate != j.endDate) {
+            setLinePos(limit, properties.x(j.startDate), y, properties.x(phases.baselineEnd), y);
+          }
+          if (phases.projected) {
+            setLinePos(projected, properties.x(phases.projected[0]), y, properties.x(phases.projected[1]), y);
+          }
+        }
+      }
+      main.selectAll(".spc__line_" + j.startIndex).attr("d", line);
+      main.select(".spc__lineHit_" + j.startIndex).attr("d", line);
+    }
+    main.select(".spc__hoverLine").attr("y1", 0).attr("y2", height);
+    main.select(".spc__tooltip").style("display", "none");
+    main.select(".spc__details").each(function(process) {
+      positionTextBox(d3.select(this), properties, properties.x(process.startDate) + TEXT_BOX_OFFSET, TEXT_BOX_OFFSET);
+    });
+    positionAnnotations(main, chartData(container), properties, height);
+    if (!main.select(".spc__canvas").empty()) {
+      drawCanvas(main, properties, width, height, mainHeight);
+    }
+    if (!overview.empty()) {
+      resizeOverview(main.select("svg > g"), overview, properties, width, height);
+    }
+    emit(properties, "render", {"width" : width, "height" : height, "view" : properties.x.domain()});
+  };
+
+  /*
+  * Internal - Resize the secondary (range / sigma) panel.
+  */
+  var resizeSecondary = function(main, properties, height) {
+    var value = ChartTypeEnum[properties.chartType].secondary.value;
+    properties.y2.rangeRound([height, 0]);
+    properties.y2Axis.ticks(height / 30);
+    main.select(".spc__axis--y2").call(properties.y2Axis);
+
+    var line = d3.line()
+    .x(function(d) {
+      return properties.x(d[properties.xData]);
+    })
+    .y(function(d) {
+      return properties.y2(value(d));
+    });
+
+    main.selectAll(".spc__secondaryPoint").each(function(d) {
+      d3.select(this).attr("transform", "translate(" + properties.x(d[properties.xData]) + "," + properties.y2(value(d)) + ")")
+      .style("display", inView(properties, d[properties.xData]) ? null : "none");
+    });
+
+    for (let j of properties.processes) {
+      for (let i in SecondaryLinesEnum) {
+        if (j.secondary.at) {
+          main.select("." + SecondaryLinesEnum[i].id + "_2_" + j.startIndex).attr("d", d3.line().curve(d3.curveStep)
+          .x(function(d) {
+            return properties.x(d[properties.xData]);
+          })
+          .y(function(d) {
+            return properties.y2(spcEngine.secondaryLimits(j, d)[SecondaryLinesEnum[i].limit]);
+          }));
+        } else if (j.startDate != j.endDate) {
+          var limit = j.secondary[SecondaryLinesEnum[i].limit];
+          setLinePos(main.select("." + SecondaryLinesEnum[i].id + "_2_" + j.startIndex), properties.x(j.startDate),
+          properties.y2(limit), properties.x(j.endDate), properties.y2(limit));
+        }
+      }
+      main.select(".spc__line_2_" + j.startIndex).attr("d", line);
+    }
+  };
+
+  /**
+  * Draw the points, lines and control limits of a chart on its canvas (when the renderer property is
+  * "canvas"), in place of the SVG elements drawProcess adds for them.  Each kind of point is drawn once, on a
+  * sprite, and copied to the points in view, which is much quicker than an element for each point for long
+  * series.  The colours come from the chart's CSS, as they do for the SVG elements.
+  *
+  * @param {Object} main - The d3 selection of the chart's container
+  * @param {Object} properties - Properties of the SPC chart
+  * @param {number} width - The width of the chart
+  * @param {number} height - The height of the chart (including any secondary panel)
+  * @param {number} mainHeight - The height of the main panel
+  */
+  var drawCanvas = function(main, properties, width, height, mainHeight) {
+    var g = main.select("svg > g");
+    var frame = main.select(".spc__canvas");
+    var plotData = frame.datum();
+    var chartType = ChartTypeEnum[properties.chartType];
+    var box = main.node().getBoundingClientRect();
+    var ratio = window.devicePixelRatio || 1;
+
+    /* The canvas covers the whole chart, so the points at its edges aren't cut off */
+    frame.attr("x", -margin.left).attr("y", -margin.top).attr("width", box.width).attr("height", box.height);
+    var context = frame.select("canvas")
+    .attr("width", Math.round(box.width * ratio))
+    .attr("height", Math.round(box.height * ratio))
+    .style("display", "block")
+    .style("width", box.width + "px")
+    .style("height", box.height + "px")
+    .node().getContext("2d");
+    properties.pointIndex = null;
+    if (!context) {
+      return;
+    }
+    context.setTransform(ratio, 0, 0, ratio, margin.left * ratio, margin.top * ratio);
+    context.clearRect(-margin.left, -margin.top, box.width, box.height);
+    context.save();
+    context.beginPath();
+    context.rect(-ICON_SIZE, -margin.top, width + 2 * ICON_SIZE, height + margin.top + margin.bottom);
+    context.clip();
+
+    /* The styles of the elements, and the sprites of the points, are only made once each */
+    var styles = {};
+    var styleOf = function(elements) {
+      var key = JSON.stringify(elements);
+      return styles[key] || (styles[key] = canvasStyle(g, elements));
+    };
+    var sprites = {};
+    var x = function(d) {
+      return properties.x(d[properties.xData]);
+    };
+    var drawPoints = function(rows, process, series, pointClass, y) {
+      for (let d of rows) {
+        if (inView(properties, d[properties.xData])) {
+          var shape = pointShape(d, process, chartType, properties, series);
+          var key = series + " " + shape + levelClass(d);
+          if (!sprites[key]) {
+            sprites[key] = canvasSprite(shape, styleOf([["g", pointClass + levelClass(d)], ["rect", ""]]), styleOf, properties, ratio);
+          }
+          context.drawImage(sprites[key], x(d) - SPRITE_ORIGIN, y(d) - SPRITE_HEIGHT / 2, SPRITE_WIDTH, SPRITE_HEIGHT);
+        }
+      }
+    };
+    var limitValue = function(v) {
+      return chartType.nonNegative ? Math.max(0, v) : v;
+    };
+    var y = function(d) {
+      return properties.y(d[properties.yData]);
+    };
+    var line = d3.line().x(x).y(y).context(context);
+
+    /* The lines of each process (and of each control level), then the points */
+    for (let process of properties.processes) {
+      for (let series of levelSeries(plotData.slice(process.startIndex, process.endIndex + 1))) {
+        strokePath(context, styleOf([["path", "spc__line" + levelClass(series[0])]]), null, function() {
+          line(series);
+        });
+      }
+    }
+    for (let process of properties.processes) {
+      drawPoints(plotData.slice(process.startIndex, process.endIndex + 1), process, "main", "spc__point", y);
+    }
+
+    /* The control limits, which are stepped if they vary per point, and dashed past the baseline */
+    var controlLineDefs = chartControlLines(chartType);
+    for (let process of properties.processes) {
+      var phases = limitPhases(process, properties);
+      var baselineEnd = process.baselineEnd != null ? process.baselineEnd : process.endIndex;
+      for (let i in controlLineDefs) {
+        let limit = ControlLinesEnum[i];
+        var style = styleOf([["line", "spc__limit " + limit.id]]);
+        var projected = styleOf([["line", "spc__limit spc__projected " + limit.id]]);
+        if (hasVariableLimits(process)) {
+          var stepped = d3.line().curve(d3.curveStep).x(x).y(function(d) {
+            var limits = pointLimits(process, d);
+            return properties.y(limitValue(limits.mean + limit.index * limits.sd));
+          }).context(context);
+          strokePath(context, style, dashArray(limit.dash), function() {
+            stepped(plotData.slice(process.startIndex, baselineEnd + 1));
+          });
+          if (phases.projected) {
+            strokePath(context, projected, projected.dash, function() {
+              stepped(plotData.slice(baselineEnd, process.endIndex + 1));
+            });
+          }
+        } else {
+          let centre = processLimits(process);
+          let v = properties.y(limitValue(centre.mean + limit.index * centre.sd));
+          if (process.startDate != process.endDate) {
+            strokePath(context, style, dashArray(limit.dash), function() {
+              context.moveTo(properties.x(process.startDate), v);
+              context.lineTo(properties.x(phases.baselineEnd), v);
+            });
+          }
+          if (phases.projected) {
+            strokePath(context, projected, projected.dash, function() {
+              context.moveTo(properties.x(phases.projected[0]), v);
+              context.lineTo(properties.x(phases.projected[1]), v);
+            });
+          }
+        }
+      }
+
+      /* The lower series, if the chart type has one */
+      if (chartType.lower) {
+        var rows = plotData.slice(process.startIndex, process.endIndex + 1);
+        var lower = function(d) {
+          return properties.y(chartType.lower(d));
+        };
+        strokePath(context, styleOf([["path", "spc__line"]]), null, function() {
+          d3.line().x(x).y(lower).context(context)(rows);
+        });
+        drawPoints(rows, process, "lower", "spc__lowerPoint", lower);
+      }
+    }
+
+    /* The secondary panel, if the chart type has one */
+    if (properties.y2) {
+      context.translate(0, mainHeight + SECONDARY_GAP);
+      var y2 = function(d) {
+        return properties.y2(chartType.secondary.value(d));
+      };
+      for (let process of properties.processes) {
+        var secondaryData = secondaryRows(plotData, process, chartType);
+        for (let i in SecondaryLinesEnum) {
+          let limit = SecondaryLinesEnum[i];
+          strokePath(context, styleOf([["line", "spc__limit " + limit.id]]), dashArray(limit.dash), function() {
+            if (process.secondary.at) {
+              d3.line().curve(d3.curveStep).x(x).y(function(d) {
+                return properties.y2(spcEngine.secondaryLimits(process, d)[limit.limit]);
+              }).context(context)(secondaryData);
+            } else if (process.startDate != process.endDate) {
+              context.moveTo(properties.x(process.startDate), properties.y2(process.secondary[limit.limit]));
+              context.lineTo(properties.x(process.endDate), properties.y2(process.secondary[limit.limit]));
+            }
+          });
+        }
+        strokePath(context, styleOf([["path", "spc__line"]]), null, function() {
+          d3.line().x(x).y(y2).context(context)(secondaryData);
+        });
+        drawPoints(secondaryData, process, "secondary", "spc__secondaryPoint", y2);
+      }
+    }
+    context.restore();
+  };
+
+  /*
+  * Internal - Stroke a path drawn on a canvas, in the style of a line of the chart, and with its dashes (or
+  * those of the style, if none are given).
+  */
+  var strokePath = function(context, style, dash, draw) {
+    if (style.stroke == "none") {
+      return;
+    }
+    context.beginPath();
+    draw();
+    context.strokeStyle = style.stroke;
+    context.lineWidth = style.lineWidth;
+    context.setLineDash(dash || style.dash);
+    context.stroke();
+  };
+
+  /*
+  * Internal - The lengths of the dashes and gaps of a stroke-dasharray (none for a solid line).
+  */
+  var dashArray = function(value) {
+    return String(value || "").split(/[\s,]+/).map(Number).filter(function(v) {
+      return v > 0;
+    });
+  };
+
+  /*
+  * Internal - The style of an element of the chart, from its CSS (e.g. the colour of a control level's line),
+  * for drawing it on a canvas.  The elements, e.g. [["g", "spc__point"], ["rect", ""]] for the rect of a point,
+  * are added to the chart while the style of the last one is read.
+  */
+  var canvasStyle = function(g, elements) {
+    var added = g.append(elements[0][0]).attr("class", elements[0][1]);
+    var element = added;
+    for (let e of elements.slice(1)) {
+      element = element.append(e[0]).attr("class", e[1]);
+    }
+    var style = window.getComputedStyle(element.node());
+    var result = {
+      "fill" : style.fill || "black",
+      "stroke" : style.stroke || "none",
+      "lineWidth" : parseFloat(style.strokeWidth) || 1,
+      "dash" : dashArray(style.strokeDasharray),
+      "font" : style.fontSize + " " + style.fontFamily
+    };
+    added.remove();
+    return result;
+  };
+
+  /*
+  * Internal - Draw a point's shape (see pointShape) on a sprite, for copying to the points on a canvas.  The
+  * shapes draw into d3 selections, so they draw into canvasShapes, which stands in for one.
+  */
+  var canvasSprite = function(shape, pointStyle, styleOf, properties, ratio) {
+    var sprite = document.createElement("canvas");
+    sprite.width = Math.round(SPRITE_WIDTH * ratio);
+    sprite.height = Math.round(SPRITE_HEIGHT * ratio);
+    var context = sprite.getContext("2d");
+    context.scale(ratio, ratio);
+    context.translate(SPRITE_ORIGIN, SPRITE_HEIGHT / 2);
+    var shapes = canvasShapes();
+    drawPointShape(shapes, shape, properties);
+    for (let element of shapes.elements) {
+      drawCanvasElement(context, element, pointStyle, styleOf);
+    }
+    return sprite;
+  };
+
+  /*
+  * Internal - Stands in for a d3 selection that a shape is drawn into, keeping the elements appended to it
+  * (and their attributes) so they can be drawn on a canvas.
+  */
+  var canvasShapes = function() {
+    var elements = [];
+    return {
+      "elements" : elements,
+      "append" : function(tag) {
+        var element = {"tag" : tag, "attrs" : {}, "text" : ""};
+        elements.push(element);
+        var selection = {
+          "attr" : function(name, value) {
+            element.attrs[name] = typeof value === "function" ? value() : value;
+            return selection;
+          },
+          "style" : function(name, value) {
+            return selection.attr(name, value);
+          },
+          "text" : function(value) {
+            element.text = value;
+            return selection;
+          }
+        };
+        return selection;
+      }
+    };
+  };
+
+  /*
+  * Internal - Draw an element kept by canvasShapes on a canvas: a circle, rect, polyline, polygon, path or text.
+  * Shapes without a fill take the fill of the point, as they do in the SVG.
+  */
+  var drawCanvasElement = function(context, element, pointStyle, styleOf) {
+    var attrs = element.attrs;
+    var number = function(name) {
+      return +attrs[name] || 0;
+    };
+    if (element.tag == "text") {
+      var textStyle = styleOf([["text", attrs["class"] || ""]]);
+      context.font = textStyle.font;
+      context.fillStyle = attrs.fill || textStyle.fill;
+      context.textAlign = attrs["text-anchor"] == "middle" ? "center" : attrs["text-anchor"] == "end" ? "right" : "left";
+      context.fillText(element.text, number("x"), number("y"));
+      return;
+    }
+    var path = new Path2D();
+    if (element.tag == "circle") {
+      path.arc(number("cx"), number("cy"), number("r"), 0, 2 * Math.PI);
+    } else if (element.tag == "rect") {
+      path.rect(number("x"), number("y"), number("width"), number("height"));
+    } else if (element.tag == "polyline" || element.tag == "polygon") {
+      var points = String(attrs.points).trim().split(/[\s,]+/).map(Number);
+      for (let i = 0; i + 1 < points.length; i += 2) {
+        path[i == 0 ? "moveTo" : "lineTo"](points[i], points[i + 1]);
+      }
+      path.closePath();
+    } else if (element.tag == "path") {
+      path = new Path2D(attrs.d);
+    }
+    if (attrs.fill != "none") {
+      context.fillStyle = attrs.fill || pointStyle.fill;
+      context.fill(path);
+    }
+    if (attrs.stroke && attrs.stroke != "none") {
+      context.strokeStyle = attrs.stroke;
+      context.lineWidth = number("stroke-width") || 1;
+      context.stroke(path);
+    }
+  };
+
+  /*
+  * Internal - The point drawn on a canvas under a position on the chart (within half the size of a point), or
+  * undefined.  This is found with a spatial index of the points in view, made when it is first needed after
+  * the chart is drawn.
+  */
+  var canvasPoint = function(plotData, properties, x, y) {
+    if (!properties.pointIndex) {
+      properties.pointIndex = d3.quadtree()
+      .x(function(d) {
+        return properties.x(d[properties.xData]);
+      })
+      .y(function(d) {
+        return properties.y(d[properties.yData]);
+      })
+      .addAll(plotData.filter(function(d) {
+        return inView(properties, d[properties.xData]);
+      }));
+    }
+    return properties.pointIndex.find(x, y, ICON_SIZE / 2);
+  };
+
+  /*
+  * Internal - The process whose line (on a canvas) passes near a position on the chart, or null.  The line
+  * between the points either side of the position is checked (for Levey-Jennings charts, that of the control
+  * level of the point after it).
+  */
+  var canvasLine = function(plotData, properties, x, y) {
+    var i = d3.bisector(function(d) { return d[properties.xData]; }).left(plotData, properties.x.invert(x));
+    var j = i - 1;
+    while (j >= 0 && i < plotData.length && plotData[j].level && plotData[j].level.index != plotData[i].level.index) {
+      j--;
+    }
+    var p = pointProcess(properties, i);
+    if (j < 0 || i >= plotData.length || p != pointProcess(properties, j)) {
+      return null;
+    }
+    var ax = properties.x(plotData[j][properties.xData]), ay = properties.y(plotData[j][properties.yData]);
+    var bx = properties.x(plotData[i][properties.xData]), by = properties.y(plotData[i][properties.yData]);
+    var length = (bx - ax) * (bx - ax) + (by - ay) * (by - ay);
+    var t = length == 0 ? 0 : Math.max(0, Math.min(1, ((x - ax) * (bx - ax) + (y - ay) * (by - ay)) / length));
+    var dx = ax + t * (bx - ax) - x, dy = ay + t * (by - ay) - y;
+    return Math.sqrt(dx * dx + dy * dy) <= LINE_HIT_DISTANCE ? properties.processes[p] : null;
+  };
+
+  /*
+  * Internal - Resize the overview below the chart, and fit the zoom and brush to the chart.  These then show
+  * the part in view, without calling their listeners (which would set the view again).
+  */
+  var resizeOverview = function(g, overview, properties, width, height) {
+    var plotData = overview.select(".spc__overviewLine").datum();
+    /* The overview's x scale isn't rounded, so the view doesn't drift as it is zoomed */
+    var x = properties.xOverview.domain(properties.xExtent).range([0, width]);
+    var y = properties.yOverview.rangeRound([OVERVIEW_HEIGHT, 0]);
+    overview.attr("transform", "translate(0," + (height + OVERVIEW_GAP) + ")");
+    overview.select(".spc__overviewArea").attr("width", width).attr("height", OVERVIEW_HEIGHT);
+    overview.select(".spc__axis--overview")
+    .attr("transform", "translate(0," + OVERVIEW_HEIGHT + ")")
+    .call(d3.axisBottom(x).ticks(width / 100));
+    overview.select(".spc__overviewLine").attr("d", d3.line()
+    .x(function(d) {
+      return x(d[properties.xData]);
+    })
+    .y(function(d) {
+      return y(d[properties.yData]);
+    }));
+
+    /* The process breaks */
+    var breaks = overview.select(".spc__overviewBreaks").selectAll("line").data(properties.processes.slice(1));
+    breaks.exit().remove();
+    breaks.enter().append("line").merge(breaks).each(function(process) {
+      setLinePos(d3.select(this), x(process.startDate), 0, x(process.startDate), OVERVIEW_HEIGHT);
+    });
+
+    var view = properties.xView ? properties.xView.map(x) : [0, width];
+    g.select(".spc__zoomArea").attr("width", width).attr("height", height);
+    var zoomed = properties.xZoom.on("zoom");
+    properties.xZoom.on("zoom", null)
+    .scaleExtent([1, Math.max(1, plotData.length / ZOOM_MIN_POINTS)])
+    .extent([[0, 0], [width, height]])
+    .translateExtent([[0, 0], [width, height]]);
+    g.call(properties.xZoom.transform, d3.zoomIdentity.scale(width / Math.max(1, view[1] - view[0])).translate(-view[0], 0));
+    properties.xZoom.on("zoom", zoomed);
+
+    var brushed = properties.xBrush.on("end");
+    properties.xBrush.on("brush end", null).extent([[0, 0], [width, OVERVIEW_HEIGHT]]);
+    overview.select(".spc__brush").call(properties.xBrush).call(properties.xBrush.move, properties.xView ? view : null);
+    properties.xBrush.on("brush end", brushed);
+  };
+
+  /**
+  * Draws a histogram of a process, with a fitted normal curve, the specification limits and
+  * target (if set), and the capability indices.
+  *
+  * @param {Array} data - The data to render
+  * @param {String} container - The container where the histogram will be rendered
+  * @param {Object} properties - Properties to configure the SPC chart (see displayChart), including
+  * "lsl", "usl" and "target" (the specification limits, any of which may be null), and "histogramBins"
+  * (the approximate number of bars)
+  * @param {int} processIndex - The process to draw (from properties.processes), or the last one if not given
+  * @returns {Object} The capability of the process (see spcEngine.capability)
+  */
+  var displayHistogram = function(data, container, properties, processIndex) {
+    displayDefaults(properties);
+
+    /* Clear the container */
+    d3.select(container).html("");
+
+    var chosen = chooseProcess(data, properties, processIndex);
+    var histProperties = chosen.properties, plotData = chosen.plotData, process = chosen.process;
+    processIndex = chosen.index;
+    var values = spcEngine.measurements(process, plotData, histProperties);
+    var cap = spcEngine.capability(process, plotData, histProperties);
+
+    var box = d3.select(container).node().getBoundingClientRect();
+    var width = box.width - margin.right - margin.left;
+    var height = box.height - margin.top - margin.bottom;
+
+    var g = d3.select(container).append("svg")
+    .attr("width", '100%')
+    .attr("height", '100%')
+    .append("g")
+    .attr("transform", "translate(" + margin.left  + "," + margin.top + ")");
+
+    /* The x axis covers the data, the specification limits and most of the fitted curve */
+    var marks = [cap.lsl, cap.usl, cap.target].filter(function(v) {
+      return v !== null;
+    });
+    var sd = cap.overallSd || 0;
+    var x = d3.scaleLinear()
+    .domain(d3.extent(values.concat(marks, [cap.mean - 3 * sd, cap.mean + 3 * sd])))
+    .range([0, width])
+    .nice();
+    var bins = d3.histogram()
+    .domain(x.domain())
+    .thresholds(x.ticks(histProperties.histogramBins))(values);
+
+    /* Scale the normal curve to the counts, using the width of the bars */
+    var binWidth = bins.length ? bins[0].x1 - bins[0].x0 : 1;
+    var curve = sd > 0 ? x.ticks(100).map(function(v) {
+      return [v, values.length * binWidth * Math.exp(-0.5 * Math.pow((v - cap.mean) / sd, 2)) / (sd * Math.sqrt(2 * Math.PI))];
+    }) : [];
+
+    var y = d3.scaleLinear()
+    .domain([0, d3.max(bins, function(b) { return b.length; }) || 1].concat(curve.map(function(c) { return c[1]; })))
+    .range([height, 0]);
+    y.domain([0, d3.max(y.domain())]).nice();
+
+    g.append("g")
+    .attr("class", "axis spc__axis--x")
+    .attr("transform", "translate(0," + height + ")")
+    .call(d3.axisBottom(x).ticks(width / 100));
+    g.append("g")
+    .attr("class", "axis spc__axis--y")
+    .call(d3.axisLeft(y).ticks(height / 50))
+    .append("text")
+    .attr("fill", "#000")
+    .attr("transform", "rotate(-90)")
+    .attr("y", 6)
+    .attr("dy", "0.71em")
+    .style("text-anchor", "end")
+    .text("Frequency");
+
+    g.selectAll(".spc__bar").data(bins)
+    .enter().append("rect")
+    .attr("class", "spc__bar")
+    .attr("x", function(b) {
+      return x(b.x0) + 1;
+    })
+    .attr("y", function(b) {
+      return y(b.length);
+    })
+    .attr("width", function(b) {
+      return Math.max(0, x(b.x1) - x(b.x0) - 1);
+    })
+    .attr("height", function(b) {
+      return height - y(b.length);
+    });
+
+    g.append("path").datum(curve)
+    .attr("class", "spc__line spc__curve")
+    .attr("d", d3.line()
+    .x(function(c) {
+      return x(c[0]);
+    })
+    .y(function(c) {
+      return y(c[1]);
+    }));
+
+    /* The specification limits and target */
+    [["LSL", cap.lsl, "spc__spec"], ["USL", cap.usl, "spc__spec"], ["Target", cap.target, "spc__target"]].forEach(function(mark) {
+      if (mark[1] === null) {
+        return;
+      }
+      setLinePos(g.append("line").attr("class", mark[2]), x(mark[1]), 0, x(mark[1]), height);
+      g.append("text")
+      .attr("class", mark[2] + "Label")
+      .attr("x", x(mark[1]))
+      .attr("y", -4)
+      .attr("text-anchor", "middle")
+      .text(mark[0]);
+    });
+
+    /* The capability indices go in the top right corner */
+    var format = function(v) {
+      return v === null || v === undefined || isNaN(v) ? "n/a" : formatNumber(v);
+    };
+    var lines = ["Process " + (processIndex + 1) + " (n = " + cap.n + ")", "Mean: " + format(cap.mean),
+    "SD (within): " + format(cap.withinSd), "SD (overall): " + format(cap.overallSd),
+    "Cp: " + format(cap.cp), "Cpk: " + format(cap.cpk), "Pp: " + format(cap.pp), "Ppk: " + format(cap.ppk),
+    "PPM (expected): " + format(cap.ppm), "PPM (observed): " + format(cap.observedPpm)];
+    var capBox = g.append("g").classed("spc__capability", true);
+    var size = drawTextBox(capBox, lines);
+    capBox.attr("transform", "translate(" + Math.max(0, width - size.width) + ",0)");
+
+    return cap;
+  };
+
+  /**
+  * Draws a Pareto chart: a bar for the total count of each category, largest first, with the
+  * cumulative percentage of the total and a reference line at 80%.  Clicking on a bar toggles
+  * whether its category is excluded, as clicking on a point does in displayChart.
+  *
+  * @param {Array} data - The data to render
+  * @param {String} container - The container where the chart will be rendered
+  * @param {Object} properties - Properties to configure the chart, e.g.
+  * {
+  *  "chartType" : "PARETO",
+  *  "categoryData" : "Category", - The category data column name
+  *  "yData" : "Count", - The count data column name
+  *  "categoriesToExclude" : {}, - The excluded categories (as keys)
+  *  "chartUpdateCallback" = function(p){ } - Receive an update if the chart is modified.
+  * }
+  * @returns {Array} The categories (see spcEngine.pareto)
+  */
+  var displayPareto = function(data, container, properties) {
+
+    /* Clear the container */
+    d3.select(container).html("");
+
+    var bars = spcEngine.pareto(data, properties);
+    var included = bars.filter(function(b) {
+      return !b.excluded;
+    });
+
+    var g = d3.select(container).append("svg")
+    .attr("width", '100%')
+    .attr("height", '100%')
+    .append("g")
+    .attr("transform", "translate(" + margin.left  + "," + margin.top + ")");
+
+    /* We store the scales and axes in the properties object so we can resize.  The counts are on
+    the left axis, and the cumulative percentage on the right */
+    properties.x = d3.scaleBand().rangeRound([0, 0]).padding(0.1);
+    properties.x.domain(bars.map(function(b) {
+      return b.category;
+    }));
+    properties.y = d3.scaleLinear().rangeRound([0, 0]);
+    properties.y.domain([0, d3.max(bars, function(b) { return b.count; }) || 1]);
+    properties.y2 = d3.scaleLinear().rangeRound([0, 0]).domain([0, 100]);
+    properties.xAxis = d3.axisBottom(properties.x);
+    properties.yAxis = d3.axisLeft(properties.y);
+    properties.y2Axis = d3.axisRight(properties.y2).tickFormat(function(v) {
+      return v + "%";
+    });
+
+    g.append("g")
+    .attr("class", "axis spc__axis--x");
+    g.append("g")
+    .attr("class", "axis spc__axis--y")
+    .append("text")
+    .attr("fill", "#000")
+    .attr("transform", "rotate(-90)")
+    .attr("y", 6)
+    .attr("dy", "0.71em")
+    .style("text-anchor", "end")
+    .text("Count");
+    g.append("g")
+    .attr("class", "axis spc__axis--y2");
+
+    g.selectAll(".spc__paretoBar").data(bars)
+    .enter().append("rect")
+    .attr("class", "spc__paretoBar")
+    .classed("spc__excluded", function(b) {
+      return b.excluded;
+    })
+    .on("click", function(b) {
+      /* When we click on a bar, toggle whether its category should be omitted */
+      if (b.excluded) {
+        delete properties.categoriesToExclude[b.category];
+      } else {
+        properties.categoriesToExclude[b.category] = true;
+      }
+      properties.chartUpdateCallback(properties);
+      displayPareto(data, container, properties);
+      d3.event.stopPropagation();
+    });
+
+    g.append("line")
+    .attr("class", "spc__limit spc__paretoReference")
+    .attr("stroke-dasharray", "5, 5");
+    g.append("path").datum(included)
+    .attr("class", "spc__line spc__cumulative");
+    g.selectAll(".spc__cumulativePoint").data(included)
+    .enter().append("circle")
+    .attr("class", "spc__cumulativePoint")
+    .attr("r", ICON_SIZE * 0.4);
+
+    resizePareto(container, properties);
+    return bars;
+  };
+
+  /*
+  * Internal - Resize a Pareto chart.
+  */
+  var resizePareto = function(container, properties) {
+    var main = d3.select(container);
+    var box = main.node().getBoundingClientRect();
+    var width = box.width - PARETO_MARGIN_RIGHT - margin.left;
+    var height = box.height - margin.top - margin.bottom;
+
+    properties.x.rangeRound([0, width]);
+    properties.y.rangeRound([height, 0]);
+    properties.y2.rangeRound([height, 0]);
+
+    main.select(".spc__axis--x")
+    .attr("transform", "translate(0," + height + ")")
+    .call(properties.xAxis);
+    properties.yAxis.ticks(height / 50);
+    main.select(".spc__axis--y").call(properties.yAxis);
+    properties.y2Axis.ticks(height / 50);
+    main.select(".spc__axis--y2")
+    .attr("transform", "translate(" + width + ",0)")
+    .call(properties.y2Axis);
+
+    main.selectAll(".spc__paretoBar")
+    .attr("x", function(b) {
+      return properties.x(b.category);
+    })
+    .attr("y", function(b) {
+      return properties.y(b.count);
+    })
+    .attr("width", properties.x.bandwidth())
+    .attr("height", function(b) {
+      return height - properties.y(b.count);
+    });
+
+    /* The cumulative percentage is plotted at the middle of each bar */
+    var centre = function(b) {
+      return properties.x(b.category) + properties.x.bandwidth() / 2;
+    };
+    main.select(".spc__cumulative").attr("d", d3.line()
+    .x(centre)
+    .y(function(b) {
+      return properties.y2(b.cumulative);
+    }));
+    main.selectAll(".spc__cumulativePoint")
+    .attr("cx", centre)
+    .attr("cy", function(b) {
+      return properties.y2(b.cumulative);
+    });
+    setLinePos(main.select(".spc__paretoReference"), 0, properties.y2(PARETO_REFERENCE), width, properties.y2(PARETO_REFERENCE));
+  };
+
+  /**
+  * Draws a normal probability (Q-Q) plot of a process: its values against the quantiles of the normal
+  * distribution, with the line they would follow if they were normal, and the Anderson-Darling
+  * and Shapiro-Wilk tests of normality.
+  *
+  * @param {Array} data - The data to render
+  * @param {String} container - The container where the plot will be rendered
+  * @param {Object} properties - Properties to configure the SPC chart (see displayChart)
+  * @param {int} processIndex - The process to draw (from properties.processes), or the last one if not given
+  * @returns {Object} The normality of the process (see spcEngine.normality)
+  */
+  var displayProbabilityPlot = function(data, container, properties, processIndex) {
+
+    /* Clear the container */
+    d3.select(container).html("");
+
+    var chosen = chooseProcess(data, properties, processIndex);
+    var values = spcEngine.normalityValues(chosen.process, chosen.plotData, chosen.properties).sort(function(a, b) {
+      return a - b;
+    });
+    var normality = spcEngine.normality(values, chosen.properties);
+    var n = values.length;
+    var points = values.map(function(v, i) {
+      return [spcEngine.normalQuantile((i + 1 - 0.375) / (n + 0.25)), v];
     });
+    var m = spcEngine.mean(values);
+    var sd = spcEngine.deviation(values) || 0;
 
+    var box = d3.select(container).node().getBoundingClientRect();
+    var width = box.width - margin.right - margin.left;
+    var height = box.height - margin.top - margin.bottom;
 
-    /* Add the SVG container to the parent container */
     var g = d3.select(container).append("svg")
     .attr("width", '100%')
     .attr("height", '100%')
     .append("g")
     .attr("transform", "translate(" + margin.left  + "," + margin.top + ")");
 
-    /* We store the x and y scales and axes in the properties object so we can resize. */
-    properties.x = d3.scaleUtc().rangeRound([0, 0]);
-    properties.y = d3.scaleLinear().rangeRound([0, 0]),
-    properties.x.domain(d3.extent(data, function(d) {
-      return d[properties.xData];
-    }));
-    properties.xAxis = d3.axisBottom(properties.x);
-    properties.xAxis.ticks(8);
+    var x = d3.scaleLinear()
+    .domain(d3.extent(points, function(p) { return p[0]; }))
+    .range([0, width])
+    .nice();
+    var y = d3.scaleLinear()
+    .domain(d3.extent(values.concat(x.domain().map(function(z) { return m + z * sd; }))))
+    .range([height, 0])
+    .nice();
+
     g.append("g")
-    .attr("class", "axis spc__axis--x");
-    properties.yAxis = d3.axisLeft(properties.y);
-    var axisY = g.append("g");
-    axisY.attr("class", "axis spc__axis--y")
+    .attr("class", "axis spc__axis--x")
+    .attr("transform", "translate(0," + height + ")")
+    .call(d3.axisBottom(x).ticks(width / 100))
+    .append("text")
+    .attr("fill", "#000")
+    .attr("x", width)
+    .attr("dy", "-0.5em")
+    .style("text-anchor", "end")
+    .text("Normal quantile");
+    g.append("g")
+    .attr("class", "axis spc__axis--y")
+    .call(d3.axisLeft(y).ticks(height / 50))
     .append("text")
     .attr("fill", "#000")
     .attr("transform", "rotate(-90)")
     .attr("y", 6)
     .attr("dy", "0.71em")
     .style("text-anchor", "end")
-    .text("Count");
-
-    /* We add a line that shows the x poistion of the cursor */
-    g.append("line").classed("spc__hoverLine", true);
+    .text(ChartTypeEnum[chosen.properties.chartType].label);
 
-    /* We add a groups that contains all the control lines and process break lines */
-    var processLines = g.append("g").classed("spc__processLines", true);
-    var controlLines = g.append("g");
+    /* Normal values lie close to the line through the mean with a slope of the standard deviation */
+    setLinePos(g.append("line").attr("class", "spc__limit spc__MEAN_LINE spc__normalLine"),
+    x(x.domain()[0]), y(m + x.domain()[0] * sd), x(x.domain()[1]), y(m + x.domain()[1] * sd));
 
-    /* Append each data point */
-    var dataDots = g.selectAll("dot").data(data)
-    .enter().append("g");
-    dataDots.attr("class", "spc__point")
-    .attr("v", function(d) {
-      return d[properties.xData];
+    g.selectAll(".spc__qqPoint").data(points)
+    .enter().append("g")
+    .attr("class", "spc__point spc__qqPoint")
+    .attr("transform", function(p) {
+      return "translate(" + x(p[0]) + "," + y(p[1]) + ")";
     })
-    .on("click", function() {
-      /* When we click on a data point, toggler whether is should be omitted */
-      var d1 = d3.select(this).attr("v");
-      if (d1 in properties.datesToExclude) {
-        delete properties.datesToExclude[d1];
-        d3.select(container).html("");
-        properties.chartUpdateCallback(properties);
-        displayChart(data, container, properties);
-      } else {
-        properties.datesToExclude[d1] = true;
-        d3.select(container).html("");
-        properties.chartUpdateCallback(properties);
-        displayChart(data, container, properties);
-      }
-      d3.event.stopPropagation();
-    });
+    .append("rect")
+    .attr("x", ICON_SIZE * -0.5)
+    .attr("y", ICON_SIZE * -0.5)
+    .attr("width" , ICON_SIZE).attr("height" , ICON_SIZE);
 
+    var testBox = g.append("g").classed("spc__capability", true);
+    drawTextBox(testBox, ["Process " + (chosen.index + 1) + " (n = " + n + ")"].concat(normalityLines(normality)));
 
-    d3.select(container).select("svg")
-    .on("mousemove", function() {
-      /* Move the hover line when we move the cursor */
-      var x = d3.mouse(this)[0]-margin.left;
-      if (x > 0) {
-        d3.select(this).select(".spc__hoverLine").style("display", null);
-        d3.select(this).select(".spc__hoverLine").attr("x1", x).attr("x2", x);
-      } else {
-        d3.select(this).select(".spc__hoverLine").style("display", "none");
-      }
-    })
-    .on("mouseout", function() {
-      d3.select(this).select(".spc__hoverLine").style("display", "none");
-    })
-    .on("click", function() {
-      /* Create a new process when we click on the chart */
-      if (properties.autoDetectProcess) {
-        window.alert("Process breaks can only be set when automatic detection is disabled");
-      } else {
-        var xDate = properties.x.invert(d3.mouse(this)[0]-margin.left);
-        xDate = d3.bisector(function(d) { return d[properties.xData]; }).right(data, xDate, 1);
-        if (properties.manualProcesses.indexOf(xDate) === -1 && xDate < properties.dates.length) {
-          properties.manualProcesses.push(xDate);
-          properties.chartUpdateCallback(properties);
-          displayChart(data, container, properties);
-        }
-      }
-    });
+    return normality;
+  };
 
-    if (properties.manualProcesses.length == 0  || properties.autoDetectProcess) {
-      /* If we don't have any process breaks, or we want to autodetect the processes, only create one process to start */
-      createProcess(properties.processes, 0);
-    } else {
-      /* Otherwise, create the manual process breaks */
-      var prev = 0;
-      for (let i = 0; i < properties.manualProcesses.length; ++i) {
-        var p = properties.manualProcesses[i];
-        createProcess(properties.processes, prev, p-1);
-        if (i == properties.manualProcesses.length - 1 ) {
-          createProcess(properties.processes, p, data.length-1);
-        }
-        prev = p;
-      }
+  /*
+  * Internal - Detect the processes on a copy of the properties (so the chart's scales are left alone),
+  * and pick one of them (the last one if no index is given).
+  */
+  var chooseProcess = function(data, properties, processIndex) {
+    var copy = Object.assign({}, properties);
+    var plotData = spcEngine.processData(data, copy);
+    if (processIndex == null) {
+      processIndex = copy.processes.length - 1;
     }
-
-    /* Calculate the signals for each process (we do this iteratively) */
-    calculateSignals(data, properties.processes, 0, properties.autoDetectProcess, properties.autoDetectUntil, properties.datesToExclude);
-
-    /* Track the min and max y value so we can set our axis */
-    var maxY = 0, minY = Number.MAX_SAFE_INTEGER;
-
-    /* Loop through each process  */
-    for (let i = 0; i < properties.processes.length; ++i) {
-      var process = properties.processes[i];
-      process.startDate = data[process.startIndex][properties.xData];
-      process.endDate = data[process.endIndex][properties.xData];
-
-      /* Define the process lines */
-      if (!process.startIndex == 0) {
-        processLines.append("line").classed("processLine_" + process.startIndex, true);
-        processLines.append("circle").classed("processSelection_" + process.startIndex, true)
-        .attr("v", process.startIndex)
-        .on("click", function() {
-          val = d3.select(this).attr("v");
-          for (let v in properties.manualProcesses) {
-            if (properties.manualProcesses[v] == val) {
-              properties.manualProcesses.splice(v,1);
-              properties.chartUpdateCallback(properties);
-              displayChart(data, container, properties);
-            }
-            d3.event.stopPropagation();
-          }
-        });
-      }
-
-      /* Define the control lines */
-      for (let i in ControlLinesEnum) {
-        g.append("line")
-        .attr("class", "spc__limit " + ControlLinesEnum[i].id + "_" + process.startIndex)
-        .attr("stroke-dasharray", ControlLinesEnum[i].dash);
-      }
-      controlLines.append("path").datum(data.slice(process.startIndex, process.endIndex+1))
-      .attr("class", "spc__line spc__line_" + process.startIndex);
-
-      /* Draw either a normal data point or a signal */
-      dataDots.filter(function (d) {
-        for (let datum of data.slice(process.startIndex, process.endIndex+1)) {
-          if (datum[properties.xData] == d[properties.xData]) {
-            return true;
-          }
-        }
-        return false;
-      }).each(function(d) {
-        d3.select(this).attr("transform", "translate(" + properties.x(d[properties.xData]) + "," + properties.y(d[properties.yData]) + ")");
-        if (d[properties.xData] in properties.datesToExclude ) {
-          d3.select(this).append("circle")
-          .attr("cx", 0)
-          .attr("cy", 0)
-          .attr("r" , ICON_SIZE * 0.5)
-          .attr("fill", "grey");
-        } else if (d[properties.xData] in properties.processes[i].signals) {
-          SignalEnum[properties.processes[i].signals[d[properties.xData]]].shape(d3.select(this), 0, 0, ICON_SIZE);
-        } else {
-          d3.select(this).append("rect")
-          .attr("x", function(d) {
-            return ICON_SIZE * -0.5;
-          })
-          .attr("y", function(d) {
-            return ICON_SIZE * -0.5;
-          }).attr("width" , ICON_SIZE).attr("height" , ICON_SIZE);
-        }
-
-      });
-
-      /* Detect the max and min control limits */
-      if (process.mean + 3.5 * process.sd > maxY) {
-        maxY = process.mean + 3.5 * process.sd;
-      }
-      if (process.mean - 3.5 * process.sd < minY) {
-        minY = process.mean - 3.5 * process.sd;
-      }
+    var process = copy.processes[processIndex];
+    if (!process) {
+      throw new Error("There is no process " + processIndex);
     }
-
-    /* Update the y domain based on the min and max limits */
-    properties.y.domain([minY, maxY]);
-
-    /* Draw the chart */
-    resizeChart(container, properties);
+    return {"properties" : copy, "plotData" : plotData, "process" : process, "index" : processIndex};
   };
 
-  /**
-  * Internal function for creating a new process (either manually or automatically).
-  *
-  * @param {Array} processes - The current processes
-  * @param {int} index - The start index of the processes
-  * @param {int} cap - The end index
-  */
-  createProcess = function(processes, index, cap = -1) {
-    /* We start with a minimum end index of the start index +
-    the length of the eight-over-mean process (which is the signal
-    that triggers an automatic process break) */
-    var endIndex = index + SignalEnum.EIGHT_OVER_MEAN.length;
-    if (cap > -1 && endIndex > cap) {
-      /* If this exceeds the cap then reduce the end index */
-      endIndex = cap;
-    }
-
-    /* Add the process */
-    processes.push({
-      "startIndex" : index,
-      "endIndex" : endIndex,
-      "cap" : cap
-    });
-    /* If we have more than one process, then cap the
-    previous process to the start of this one */
-    if (processes.length > 1) {
-      processes[processes.length - 2].endIndex = index - 1;
+  /*
+  * Internal - Describe the normality tests of a process, for the details panel and probability plot.
+  */
+  var normalityLines = function(normality) {
+    if (!normality) {
+      return [];
     }
-  }
+    var format = function(name, symbol, test) {
+      return test ? name + ": " + symbol + " = " + d3.format(".3f")(test.statistic) + ", p " + formatP(test.p) :
+      name + ": too few points";
+    };
+    var lines = [format("Anderson-Darling", "A\u00B2", normality.andersonDarling), format("Shapiro-Wilk", "W", normality.shapiroWilk)];
+    if (normality.warning) {
+      lines.push("Warning: the values don't look normally distributed, so the limits may not apply");
+    }
+    return lines;
+  };
 
+  var formatP = function(p) {
+    return p < 0.001 ? "< 0.001" : "= " + d3.format(".3f")(p);
+  };
 
   /**
-  * Resize an existing SPC chart
+  * Export a chart as a standalone SVG document.  The rules of the page's style sheets (e.g. spc.css) that
+  * apply to the chart are copied into it, so it looks the same outside the page, and the legend (see
+  * drawLegend) is drawn below the chart.  The tooltip, hover line and process details are left out.
   *
-  * @param {String} container - The container where the chart is rendered
-  * @param {Object} properties - Properties to configure the SPC chart
+  * @param {String} container - The container of the chart
+  * @param {Object} properties - Properties of the SPC chart (see displayChart)
+  * @param {Object} options - Optional, {"legend" : true, "background" : "white"}
+  * @returns {String} The SVG document
   */
-  resizeChart = function(container, properties) {
-
-    /* Define the width and height of the chart */
-    var main = d3.select(container);
-    var box = d3.select(container).node().getBoundingClientRect();
-    var width = box.width - margin.right - margin.left;
-    var height = box.height - margin.top - margin.bottom;
-
-    /* Position the X axis */
-    main.select(".spc__axis--x")
-    .attr("transform", "translate(0," + height + ")")
-
-    /* Set the range of the x and y axes */
-    properties.x.rangeRound([0, width]);
-    properties.y.rangeRound([height, 0]);
-
-    /* Define the number of ticks based on the size of the chart */
-    properties.xAxis.ticks(width / 100);
-    main.select(".spc__axis--x").call(properties.xAxis);
-    properties.yAxis.ticks(height / 50  );
-    main.select(".spc__axis--y").call(properties.yAxis);
+  var exportSVG = function(container, properties, options) {
+    return new XMLSerializer().serializeToString(exportedChart(container, properties, options).node);
+  };
 
-    /* Create a line function for this chart */
-    var line = d3.line()
-    .x(function(d) {
-      return properties.x(d[properties.xData]);
-    })
-    .y(function(d) {
-      return properties.y(d[properties.yData]);
+  /*
+  * Internal - Copy a chart into a standalone SVG element (see exportSVG), and return it with its size.
+  */
+  var exportedChart = function(container, properties, options) {
+    options = Object.assign({"legend" : true, "background" : "white"}, options);
+    var chart = d3.select(container).select("svg").node();
+    if (!chart) {
+      throw new Error("There is no SPC chart in " + container + " to export");
+    }
+    var box = chart.getBoundingClientRect();
+    var width = Math.ceil(box.width);
+    var height = Math.ceil(box.height);
+
+    var svg = d3.select(chart.cloneNode(true));
+    svg.selectAll(".spc__tooltip, .spc__hoverLine, .spc__details").remove();
+
+    /* A canvas is copied without its drawing, so that is copied in as an image */
+    var canvases = d3.select(chart).selectAll(".spc__canvas canvas").nodes();
+    svg.selectAll(".spc__canvas").each(function(d, i) {
+      var frame = d3.select(this);
+      d3.select(this.parentNode).insert("image", function() {
+        return frame.node();
+      })
+      .attr("x", frame.attr("x"))
+      .attr("y", frame.attr("y"))
+      .attr("width", frame.attr("width"))
+      .attr("height", frame.attr("height"))
+      .attr("href", canvases[i].toDataURL("image/png"));
+      frame.remove();
     });
 
-    /* Position the data points */
-    main.selectAll(".spc__point").each(function(d) {
-      d3.select(this).attr("transform", "translate(" + properties.x(d[properties.xData]) + "," + properties.y(d[properties.yData]) + ")");
-    });
+    if (options.legend) {
+      var entries = legendEntries(properties);
+      var legend = svg.append("g")
+      .classed("spc__legend", true)
+      .attr("transform", "translate(0," + (height + EXPORT_LEGEND_GAP) + ")");
+      drawLegendEntries(legend, entries, width, entries.length * EXPORT_LEGEND_ENTRY_HEIGHT);
+      height += EXPORT_LEGEND_GAP + entries.length * EXPORT_LEGEND_ENTRY_HEIGHT;
+    }
 
-    /* Position the process break lines and control limit lines */
-    for (let j of properties.processes ) {
-      setLinePos(main.select(".processLine_" + j.startIndex), properties.x(j.startDate), 0, properties.x(j.startDate), height);
-      main.select(".processSelection_" + j.startIndex).attr("cx", properties.x(j.startDate)).attr("cy", 0.5 * ICON_SIZE).attr("r", 0.5*ICON_SIZE);
-      for (let i in ControlLinesEnum) {
-        if (j.startDate != j.endDate) {
-          setLinePos(main.select("." + ControlLinesEnum[i].id + "_" + j.startIndex), properties.x(j.startDate),
-          properties.y(j.mean + ControlLinesEnum[i].index * j.sd), properties.x(j.endDate), properties.y(j.mean + ControlLinesEnum[i].index * j.sd));
-        }
-      }
-      main.select(".spc__line_" + j.startIndex).attr("d", line);
+    /* The text takes the font of the page */
+    var font = window.getComputedStyle(d3.select(container).node());
+    svg.attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("viewBox", "0 0 " + width + " " + height)
+    .style("font-family", font.fontFamily)
+    .style("font-size", font.fontSize);
+    if (options.background) {
+      svg.insert("rect", ":first-child")
+      .attr("width", width)
+      .attr("height", height)
+      .attr("fill", options.background);
     }
-    main.select(".spc__hoverLine").attr("y1", 0).attr("y2", height);
+    svg.insert("style", ":first-child").text(chartStyles(svg.node()));
+    return {"node" : svg.node(), "width" : width, "height" : height};
   };
 
-  /**
-  * Get the signal data without rendering the chart
-  *
-  * @param {Array} data - The data to render
-  * @param {Object} properties - Properties to configure the signal processing
+  /*
+  * Internal - The CSS rules of the page that apply to an element or anything in it.  Style sheets from
+  * other origins can't be read, so they are skipped.
   */
-  getSignals = function(data, properties) {
-    configureProperties(properties, data);
-    createProcess(properties.processes, 0);
-    calculateSignals(data, properties.processes, 0, properties.autoDetectProcess, properties.autoDetectUntil, properties.datesToExclude);
-  }
-
-  /**
-  * Internal function for detecting signals and process breaks
-  *
-  * @param {Array} data - The data to render
-  * @param {Object} processes - Existing processes
-  * @param {int} pIndex - The current process
-  * @param {bool} autoDetectProcess - Whether to auto detect process breaks
-  * @param {Date} autoDetectUntil - The limit for auto detecting process breaks
-  * @param {Array} datesToExclude - A list of dates to exclude
-  */
-  calculateSignals = function(data, processes, pIndex, autoDetectProcess, autoDetectUntil, datesToExclude) {
-    /* Get the current process */
-    var process = processes[pIndex];
-    var signalTracker = {};
-    process.signals = {};
-
-    /* Cap the end of the process to the last data point, otherwise decrement it by one */
-    if (process.endIndex >= data.length) {
-      process.endIndex = data.length - 2;
-    } else {
-      process.endIndex--;
-    }
-
-    /* We both detect signals and process breaks here. So we need a bit of trickery to define when we enter this loop.
-    *
-    * This process is not very efficient since we need to add one data point at a time to detect whether there has beena process break.
-    * Since the new data point changes the summary statistics, we need to check all data points every time we add a new one.  This gives
-    * us a running time close to O(n^2).
-    *
-    */
-    var processFound = false;
-    while (!processFound && process.endIndex < data.length -1 && (process.cap == -1 || process.endIndex < process.cap) ) {
-      /* Reset the signal tracking variables and increase the end index by one (inlude a new data point) */
-      process.endIndex++;
-      process.signals = {};
-      signalTracker = {};
-      for (let i in SignalEnum) {
-        signalTracker[SignalEnum[i].id] = [];
-      };
-
-      /* generate summary statistics */
-      var stats = summaryStatistics(data, datesToExclude, process.startIndex, process.endIndex);
-      process.mean = stats.mean;
-      process.sd = stats.sd;
-
-      /* Loop through all the points in reverse order */
-      for (var j = process.endIndex; j >= process.startIndex; --j) {
-        var d = data[j];
-        if (!(d[properties.xData] in datesToExclude)) {
-          for (let i in SignalEnum) {
-            var sig = SignalEnum[i];
-            /* Check whether any data points are classified as a signal */
-            if (sig.rule(d[properties.yData], process.mean, process.sd)) {
-              /* Check whether a run has been detected, or a new process break should be inserted */
-              processFound =  incrementSignal(signalTracker, sig, d[properties.xData], processes, j, j == process.startIndex ? false : autoDetectProcess, autoDetectUntil);
-            } else {
-              /* Otherwise, clear the run */
-              clearSignal(process.signals, signalTracker, sig);
-            }
-            /* If we have a process break, exit the loop */
-            if (processFound) {
-              break;
-            }
-          }
-          if (processFound) {
-            break;
+  var chartStyles = function(node) {
+    var css = [];
+    for (let sheet of Array.from(document.styleSheets)) {
+      var rules;
+      try {
+        rules = sheet.cssRules;
+      } catch (e) {
+        continue;
+      }
+      for (let rule of Array.from(rules || [])) {
+        var applies = rule.selectorText && rule.selectorText.split(",").some(function(selector) {
+          try {
+            return node.matches(selector) || node.querySelector(selector) !== null;
+          } catch (e) {
+            return false;
           }
+        });
+        if (applies) {
+          css.push(rule.cssText);
         }
       }
-
-      if (processFound) {
-        /* If we have found a new process, regenerate the summary stats excluding the data points from the latest signal */
-        var stats = summaryStatistics(data, datesToExclude, process.startIndex, process.endIndex);
-        process.mean = stats.mean;
-        process.sd = stats.sd;
-      }
-    }
-
-    /* We flush out any remaining signals from our signal tracker */
-    for (let i in SignalEnum) {
-      var val = SignalEnum[i];
-      if (val.id in signalTracker) {
-        addSignalToTracker(process.signals, signalTracker, val);
-      }
-    };
-
-    /* If we have found a process, or we are working through multiple processes, then we recall this function */
-    if (processFound || pIndex < processes.length - 1) {
-      calculateSignals(data, processes, pIndex + 1, autoDetectProcess, autoDetectUntil, datesToExclude);
     }
+    return css.join("\n");
   };
 
   /**
-  * Internal - Generate the mean.
+  * Export a chart (with its legend) as a PNG image.  This is drawn at a multiple of the chart's size
+  * (EXPORT_PNG_SCALE), so it stays sharp in documents and print.
   *
-  * @param {Array} data - the data Array
+  * @param {String} container - The container of the chart
+  * @param {Object} properties - Properties of the SPC chart (see displayChart)
+  * @param {Object} options - Optional, the exportSVG options and the scale, e.g. {"scale" : 3}
+  * @returns {Promise} Resolves to the PNG image as a Blob
   */
-  mean = function(data) {
-    return d3.mean(data, function(d) {
-      return d[properties.yData];
+  var exportPNG = function(container, properties, options) {
+    options = Object.assign({"scale" : EXPORT_PNG_SCALE}, options);
+    var chart = exportedChart(container, properties, options);
+    var source = new XMLSerializer().serializeToString(chart.node);
+
+    return new Promise(function(resolve, reject) {
+      var image = new Image();
+      image.onload = function() {
+        var canvas = document.createElement("canvas");
+        canvas.width = Math.round(chart.width * options.scale);
+        canvas.height = Math.round(chart.height * options.scale);
+        canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+        canvas.toBlob(function(blob) {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error("The SPC chart in " + container + " could not be drawn as a PNG"));
+          }
+        }, "image/png");
+      };
+      image.onerror = function() {
+        reject(new Error("The SPC chart in " + container + " could not be drawn as a PNG"));
+      };
+      image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(source);
     });
-  }
+  };
 
   /**
-  * Internal- Generate the standard deviation.
+  * Export a report of a chart as an HTML page laid out for printing (e.g. to save as PDF from the
+  * browser's print dialog): the chart with its legend, then a table of the processes and a table of the
+  * signals.  For a Pareto chart, the report has the chart and legend only.
   *
-  * @param {Array} data - the data Array
+  * @param {String} container - The container of the chart
+  * @param {Object} properties - Properties of the SPC chart (see displayChart)
+  * @param {Array} plotData - The plotted data returned by displayChart
+  * @param {Object} options - Optional, {"title" : "Crimes per month", "print" : false}.  If print is set,
+  * the report is opened in a new window and printed.
+  * @returns {String} The HTML page
   */
-  sd = function(data) {
-    return d3.deviation(data, function(d) {
-      return d[properties.yData];
-    });
-  }
-
-  /**
-  * Internal - Generate summary statistics from a subset of the data.
-  *
-  * @param {Array} data - the data Array
-  * @param {Array} datesToExclude - an array out outliers
-  * @param {int} start - the start inedex (inclusive)
-  * @param {int} end - the end index (exclusive)
-  */
-  summaryStatistics = function(data, datesToExclude, start, end) {
-    stats = {"mean" : 0, "sd" : 0};
-    end++;
-    if (isEmpty(datesToExclude)) {
-      stats.mean = mean(data.slice(start,  end));
-      stats.sd = sd(data.slice(start, end));
-    } else {
-      var tmpData = [];
-      for (let i = start; i < end; i++) {
-        if (!(data[i][properties.xData] in datesToExclude)) {
-          tmpData.push(data[i]);
-        }
-        stats.mean = mean(tmpData);
-        stats.sd = sd(tmpData);
+  var exportReport = function(container, properties, plotData, options) {
+    options = Object.assign({"title" : "SPC report", "print" : false}, options);
+    var html = ["<!DOCTYPE html>", "<html>", "<head>", "<meta charset=\"utf-8\">",
+    "<title>" + escapeHTML(options.title) + "</title>", "<style>", REPORT_STYLE, "</style>", "</head>", "<body>",
+    "<h1>" + escapeHTML(options.title) + "</h1>",
+    "<p>Created " + escapeHTML(formatDate(new Date())) + "</p>",
+    "<div class=\"spc__reportChart\">" + exportSVG(container, properties, options) + "</div>"];
+
+    if (properties.chartType != "PARETO") {
+      var summary = spcEngine.summarise(plotData, properties);
+      html.push("<h2>Processes</h2>", reportTable(["Process", "Start", "End", "Points", "Excluded", "Mean", "LCL", "UCL", "Signals"],
+      summary.processes.map(function(p) {
+        return [p.index + 1, formatDate(new Date(p.start)), formatDate(new Date(p.end)), p.points, p.excluded.length,
+        formatNumber(p.mean), p.lcl === null ? "varies" : formatNumber(p.lcl), p.ucl === null ? "varies" : formatNumber(p.ucl),
+        p.signalCount];
+      })));
+      html.push("<h2>Signals</h2>");
+      if (summary.signals.length) {
+        html.push(reportTable(["Date", "Value", "Process", "Signal"], summary.signals.map(function(s) {
+          return [formatDate(new Date(s.date)) + (s.level ? " (" + s.level + ")" : ""),
+          s.value == null ? "" : formatNumber(+s.value), s.process + 1, s.desc];
+        })));
+      } else {
+        html.push("<p>No signals</p>");
       }
     }
-    return stats;
-  }
-
-  /*
-  * Internal - if we have a signal, incretment the tracker.  If we are detecting process breaks and we find one,
-  * create a new process and return true.
-  */
-  incrementSignal = function(signalTracker, signalType, id, processes, index, autoDetectProcess, autoDetectUntil) {
-    signalTracker[signalType.id].push(id);
-
-    if ((signalType.id == SignalEnum.EIGHT_OVER_MEAN.id || signalType.id == SignalEnum.EIGHT_UNDER_MEAN.id) &&
-    signalTracker[signalType.id].length == SignalEnum.EIGHT_OVER_MEAN.length  && autoDetectProcess && new Date(id) < new Date(autoDetectUntil)) {
-      createProcess(processes, index);
-      return true;
+    html.push("</body>", "</html>");
+    html = html.join("\n");
+
+    if (options.print) {
+      var report = window.open("", "_blank");
+      report.document.write(html);
+      report.document.close();
+      report.focus();
+      report.print();
     }
-    return false;
-  }
+    return html;
+  };
 
   /*
-  * Internal - Clear a run of signals if below the expected threshold.
+  * Internal - An HTML table with a header row.
   */
-  clearSignal  = function(signals, signalTracker, signalType) {
-    addSignalToTracker(signals, signalTracker, signalType);
-    signalTracker[signalType.id] = [];
-  }
+  var reportTable = function(header, rows) {
+    var cells = function(tag, row) {
+      return "<tr>" + row.map(function(c) {
+        return "<" + tag + ">" + escapeHTML(c) + "</" + tag + ">";
+      }).join("") + "</tr>";
+    };
+    return "<table>\n<thead>" + cells("th", header) + "</thead>\n<tbody>\n" + rows.map(function(row) {
+      return cells("td", row);
+    }).join("\n") + "\n</tbody>\n</table>";
+  };
 
-  /*
-  * Add a new signal to the tracker.
+  var escapeHTML = function(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  };
+
+  /**
+  * Get the signal data without rendering the chart
+  *
+  * @param {Array} data - The data to render
+  * @param {Object} properties - Properties to configure the signal processing
   */
-  addSignalToTracker = function(signals, signalTracker, signalType) {
-    if (signalTracker[signalType.id].length >= signalType.length) {
-      signalTracker[signalType.id].forEach(function (d) {
-        if ((d in signals && signalType.length < SignalEnum[signals[d]].length) || !(d in signals)) {
-          signals[d] = signalType.id;
-        }
-      });
-    }
+  var getSignals = function(data, properties) {
+    spcEngine.processData(data, properties);
   }
 
   /*
   * Internal - Set the position of a line
   */
-  setLinePos = function(e, x1, y1, x2, y2) {
+  var setLinePos = function(e, x1, y1, x2, y2) {
     e.attr("x1", x1)
     .attr("y1", y1)
     .attr("x2", x2)
     .attr("y2", y2);
   }
 
-  /*
-  * Check whether an object has any children.
-  *
-  * @param {Object} obj - The object to check.
-  */
-  isEmpty = function(obj) {
-    for(let prop in obj) {
-      if(obj.hasOwnProperty(prop))
-      return false;
-    }
-    return true;
-  }
-
-  /*
-  * Internal - Configure the properties object based on a default.
-  */
-  configureProperties = function(properties, data) {
-    defaultProperties = {
-      "processes" : [],
-      "manualProcesses" : [],
-      "autoDetectProcess" : false,
-      "datesToExclude" : {},
-      "autoDetectUntil" : 0,
-      "dates" : [],
-      "yData" : "Count",
-      "xData" : "Date",
-      "chartUpdateCallback" : function(p){}
-    }
-
-    defaultProperties.autoDetectUntil = d3.max(data, function(d) { return d[defaultProperties.xData]}),
-
-    data.forEach(function(d) {
-      defaultProperties.dates.push(d[defaultProperties.xData]);
-    })
-
-    for (let key of Object.keys(defaultProperties)) {
-      if (!(key in properties)) {
-        properties[key] = defaultProperties[key];
-      }
-    }
-
-    properties.manualProcesses.sort(function(a, b) {
-      return a - b;
-    });
-
-    properties.processes = [];
-
-  }
-
   /**
   * Control line definitions
   */
-  ControlLinesEnum = {
+  var ControlLinesEnum = {
     UCL3_LINE : {id: "UCL3_LINE", index : 3, "dash": "0"},
     UCL2_LINE : {id: "UCL2_LINE", index : 2, "dash": "5, 5"},
     UCL1_LINE : {id: "UCL1_LINE", index : 1.5, "dash": "10, 10"},
+    UCL1SD_LINE : {id: "UCL1SD_LINE", index : 1, "dash": "2, 4", "optional" : true},
     MEAN_LINE : {id: "spc__MEAN_LINE", index : 0, "dash": "0"},
+    LCL1SD_LINE : {id: "LCL1SD_LINE", index : -1, "dash": "2, 4", "optional" : true},
     LCL1_LINE : {id: "LCL1_LINE", index : -1.5, "dash": "10, 10"},
     LCL2_LINE : {id: "LCL2_LINE", index : -2, "dash": "5, 5"},
     LCL3_LINE : {id: "LCL3_LINE", index : -3, "dash": "0"}
   }
 
   /**
-  * Check whether a signal is above or below the mean.
-  *
-  * @param {SignalEnum} sig - The signal to check.
+  * Secondary panel control line definitions, where limit is the property of process.secondary
   */
-  signalIsBelow = function(sig) {
-    if (SignalEnum[sig].rule(0,1,0)) {
-      return true;
-    }
-    return false;
+  var SecondaryLinesEnum = {
+    UCL_LINE : {id: "UCL3_LINE", limit : "ucl", "dash": "0"},
+    MEAN_LINE : {id: "spc__MEAN_LINE", limit : "mean", "dash": "0"},
+    LCL_LINE : {id: "LCL3_LINE", limit : "lcl", "dash": "0"}
   }
 
-  /*
-  * Signal definitions
-  */
-  SignalEnum = {
-    EIGHT_OVER_MEAN : { "id" : "EIGHT_OVER_MEAN", "length" : 8, "index" : 4, "rule" : function(v,mean, sd = 0) {
-      if (v > mean) {
-        return true;
-      }
-      return false;
-    }, "shape" : function (container, x, y, size) {
-      createCross(size, x, y, container, "#00BDA6");
-    },
-    "desc" : "Eight data points in a row over the mean"},
-    EIGHT_UNDER_MEAN : { "id" : "EIGHT_UNDER_MEAN", "length" : 8, "index" : 3, "rule" : function(v,mean, sd = 0) {
-      if (v < mean) {
-        return true;
-      }
-      return false;
-    }, "shape" : function (container, x, y, size) {
-      createDiamond(size, x, y, container, "#00BDA6");
-    },
-    "desc" : "Eight data points in a row under the mean"},
-    TWO_OVER_TWO : { "id" : "TWO_OVER_TWO", "length" : 2, "index" : 6, "rule" : function(v,mean,sd) {
-      if (v > mean + sd * 2) {
-        return true;
-      }
-      return false;
-    }, "shape" : function (container, x, y, size) {
-      createCross(size, x, y, container, "#22919E");
-    },
-    "desc" : "Two data points in a row over 2 standard deviations above the mean"},
-    TWO_UNDER_TWO : { "id" : "TWO_UNDER_TWO", "length" : 2, "index" : 1, "rule": function(v,mean, sd) {
-      if (v < mean - sd * 2) {
-        return true;
-      }
-      return false;
-    }, "shape" : function (container, x, y, size) {
-      createDiamond(size, x, y, container, "#22919E");
-    },
-    "desc" : "Two data points in a row over 2 standard deviations below the mean"},
-    THREE_OVER_ONE_FIVE : { "id" : "THREE_OVER_ONE_FIVE", "length" : 3, "index" : 5, "rule": function(v,mean, sd) {
-      if (v > mean + sd * 1.5) {
-        return true;
-      }
-      return false;
-    }, "shape" : function (container, x, y, size) {
-      createCross(size, x, y, container, "#ff7c40");
-    },
-    "desc" : "Three data points in a row over 1.5 standard deviations above the mean"},
-    THREE_UNDER_ONE_FIVE : { "id" : "THREE_UNDER_ONE_FIVE", "length" : 3, "index" : 2, "rule": function(v,mean, sd) {
-      if (v < mean - sd * 1.5) {
-        return true;
-      }
-      return false;
-    }, "shape" : function (container, x, y, size) {
-      createDiamond(size, x, y, container, "#ff7c40");
-    },
-    "desc" : "Three data points in a row over 1.5 standard deviations below the mean"},
-    ONE_OVER_THREE : { "id" : "ONE_OVER_THREE", "length" : 1,  "index" : 7, "rule": function(v,mean, sd) {
-      if (v > mean + sd*3) {
-        return true;
-      }
-      return false;
-    }, "shape" : function(container, x, y, size) {
-      createCross(size, x, y, container, "#eb4551");
-    },
-    "desc" : "One data point over 3 standard deviations above the mean"},
-    ONE_UNDER_THREE: { "id" : "ONE_UNDER_THREE", "length" : 1,  "index" : 0, "rule": function(v,mean, sd) {
-      if (v < mean - sd * 3) {
-        return true;
-      }
-      return false;
-    }, "shape" : function(container, x, y, size) {
-      createDiamond(size, x, y, container, "#eb4551");
-    },
-    "desc" : "One data point over 3 standard deviations below the mean"}
+  /**
+  * Internal - Get the control line definitions drawn for a chart type.  Optional lines are only
+  * drawn for the chart types that list them.
+  *
+  * @param {Object} chartType - The chart type (see ChartTypeEnum)
+  */
+  var chartControlLines = function(chartType) {
+    var lines = {};
+    for (let i in ControlLinesEnum) {
+      if (chartType.controlLines ? chartType.controlLines.indexOf(i) > -1 : !ControlLinesEnum[i].optional) {
+        lines[i] = ControlLinesEnum[i];
+      }
+    }
+    return lines;
   }
 
   /**
   * Drawing functions
   **/
 
-  createCircle = function(size, x, y, container, colour) {
+  var createCircle = function(size, x, y, container, colour) {
     container.append("circle")
     .attr("cx", function(d) {
       return x;
@@ -725,7 +3255,7 @@ spc = function () {
     .attr("fill", colour);
   }
 
-  createDiamond = function(size, x, y, container, colour) {
+  var createDiamond = function(size, x, y, container, colour) {
     var r = size / 2;
     container.append('polyline')
     .attr('points', function(d) {
@@ -738,7 +3268,7 @@ spc = function () {
     .attr("fill", colour);
   }
 
-  createTriangle = function(size, x, y, container, colour) {
+  var createTriangle = function(size, x, y, container, colour) {
     var r = size / 2;
     container.append('polyline')
     .attr('points', function(d) {
@@ -750,7 +3280,7 @@ spc = function () {
     .attr("fill", colour);
   }
 
-  createCross = function(size, x, y, container, colour) {
+  var createCross = function(size, x, y, container, colour) {
     var s = 1.0 / size * (size / 2.5);
     var r = size / 2;
 
@@ -773,50 +3303,149 @@ spc = function () {
     .attr("fill", colour);
   }
 
+  /* The shapes rules can be drawn with */
+  var ShapeEnum = {
+    "cross" : createCross,
+    "diamond" : createDiamond,
+    "triangle" : createTriangle,
+    "circle" : createCircle
+  }
+
+  /**
+  * Draw the shape of a signal.  A rule's shape is either the name of a shape (drawn in the
+  * rule's colour), or a function that draws it.
+  *
+  * @param {String} id - The signal rule id
+  * @param {Object} container - The d3 selection to draw into
+  * @param {number} x - The x position
+  * @param {number} y - The y position
+  * @param {number} size - The size of the shape
+  * @param {boolean} glyph - Optional, draw the rule's glyph (its short code) to the right of the shape
+  */
+  var drawSignal = function(id, container, x, y, size, glyph) {
+    var rule = spcEngine.getRule(id);
+    if (typeof rule.shape === "function") {
+      rule.shape(container, x, y, size);
+    } else {
+      ShapeEnum[rule.shape](size, x, y, container, rule.colour);
+    }
+    if (glyph && rule.glyph) {
+      container.append("text")
+      .attr("class", "spc__glyph")
+      .attr("x", x + size * 0.7)
+      .attr("y", y - size * 0.5)
+      .attr("aria-hidden", "true")
+      .text(rule.glyph);
+    }
+  }
+
   /**
-  * Draw the signal details
+  * Draw the signal details, or for a Pareto chart what its bars and lines show
   *
   * @param {String} container - The container housing the legend
+  * @param {Object} properties - Optional, the properties of the chart the legend is for
   */
-  drawLegend = function(container) {
+  var drawLegend = function(container, properties) {
     var svg = d3.select(container).append("svg").attr("width", '100%')
     .attr("height", '100%');
 
     var width = d3.select(container).node().getBoundingClientRect().width;
     var height = d3.select(container).node().getBoundingClientRect().height;
+    drawLegendEntries(svg, legendEntries(properties), width, height);
+  }
 
-    var sigArray = Object.keys(SignalEnum).map(function (key) { return SignalEnum[key]; });
+  /*
+  * Internal - The legend entries of a chart.  Each entry draws its symbol at (x, y).
+  */
+  var legendEntries = function(properties) {
+    if (properties && properties.chartType == "PARETO") {
+      return paretoLegend();
+    }
+    var rules = spcEngine.activeRules(properties);
+    var sigArray = Object.keys(rules).map(function (key) { return rules[key]; });
     sigArray.sort(function(a,b) { return b.length - a.length });
-    var numEntries = sigArray.length;
+    return sigArray.map(function(sig) {
+      return {"desc" : sig.desc, "glyph" : sig.glyph, "draw" : function(x, y, svg) {
+        drawSignal(sig.id, svg, x, y, ICON_SIZE, true);
+      }};
+    });
+  };
+
+  /*
+  * Internal - Draw the legend entries into an SVG element (or group), one row each.
+  */
+  var drawLegendEntries = function(svg, entries, width, height) {
+    var numEntries = entries.length;
     var boxH = height / numEntries;
 
     var c = 0;
-    for (let sig of sigArray) {
-      sig.shape(svg, 0.5 * boxH, 0.5 * boxH +  c * boxH, ICON_SIZE);
+    for (let entry of entries) {
+      entry.draw(0.5 * boxH, 0.5 * boxH +  c * boxH, svg);
       svg.append("text")
-      .attr("x", boxH)
+      .attr("x", boxH + (entry.glyph ? LEGEND_GLYPH_WIDTH : 0))
       .attr("y", c * boxH + (0.5 * boxH))
       .attr("width", width - boxH)
       .attr("height", boxH)
       .attr("text-anchor", "start")
       .attr("dominant-baseline", "central")
-      .text(sig.desc)
+      .text(entry.desc)
       c++;
     }
-  }
+  };
+
+  /*
+  * Internal - The legend entries for a Pareto chart, in the same form as the signals.
+  */
+  var paretoLegend = function() {
+    return [
+      {"desc" : "Total count of the category", "draw" : function(x, y, svg) {
+        svg.append("rect").attr("class", "spc__paretoBar")
+        .attr("x", x - ICON_SIZE / 2).attr("y", y - ICON_SIZE / 2).attr("width", ICON_SIZE).attr("height", ICON_SIZE);
+      }},
+      {"desc" : "Cumulative percentage of the total", "draw" : function(x, y, svg) {
+        setLinePos(svg.append("line").attr("class", "spc__line spc__cumulative"), x - ICON_SIZE, y, x + ICON_SIZE, y);
+        svg.append("circle").attr("class", "spc__cumulativePoint").attr("cx", x).attr("cy", y).attr("r", ICON_SIZE * 0.4);
+      }},
+      {"desc" : PARETO_REFERENCE + "% of the total", "draw" : function(x, y, svg) {
+        setLinePos(svg.append("line").attr("class", "spc__limit spc__paretoReference").attr("stroke-dasharray", "5, 5"),
+        x - ICON_SIZE, y, x + ICON_SIZE, y);
+      }},
+      {"desc" : "Excluded category (click on a bar to toggle)", "draw" : function(x, y, svg) {
+        svg.append("rect").attr("class", "spc__paretoBar spc__excluded")
+        .attr("x", x - ICON_SIZE / 2).attr("y", y - ICON_SIZE / 2).attr("width", ICON_SIZE).attr("height", ICON_SIZE);
+      }}
+    ];
+  };
 
   /**
   * Declare public functions
   */
   return {
     "parseTime" :  parseTime,
+    "create" : create,
     "displayChart" : displayChart,
+    "appendChart" : appendChart,
+    "displayHistogram" : displayHistogram,
+    "displayPareto" : displayPareto,
+    "displayProbabilityPlot" : displayProbabilityPlot,
     "resizeChart" : resizeChart,
     "getSignals" : getSignals,
-    "isEmpty" : isEmpty,
+    "isEmpty" : spcEngine.isEmpty,
     "signalIsBelow" : signalIsBelow,
     "SignalEnum" : SignalEnum,
-    "drawLegend" : drawLegend
+    "RuleSets" : spcEngine.RuleSets,
+    "registerRule" : spcEngine.registerRule,
+    "enableRule" : spcEngine.enableRule,
+    "disableRule" : spcEngine.disableRule,
+    "useRuleSet" : spcEngine.useRuleSet,
+    "analyse" : spcEngine.analyse,
+    "exportState" : spcEngine.exportState,
+    "importState" : spcEngine.importState,
+    "ChartTypeEnum" : ChartTypeEnum,
+    "drawLegend" : drawLegend,
+    "exportSVG" : exportSVG,
+    "exportPNG" : exportPNG,
+    "exportReport" : exportReport
   }
 
 }();
@@ -0,0 +1,95 @@
+/*
+* Tests for the SPC engine.  Run with: node --test test/
+*/
+var test = require("node:test");
+var assert = require("node:assert");
+var spcEngine = require("../spc-engine.js");
+
+/*
+* Monthly counts, from a year and month (0 based), alternating around a level.
+*/
+var months = function(year, month, count, level) {
+  var data = [];
+  for (let i = 0; i < count; i++) {
+    data.push({"Date" : new Date(year, month + i, 1), "Count" : level + (i % 2 ? 50 : -50)});
+  }
+  return data;
+};
+
+test("a process break stays at its date when points are added before it", function() {
+  var data = months(2012, 0, 36, 1000);
+  var properties = {"autoDetectProcess" : false};
+  spcEngine.processData(data.slice(), properties);
+
+  /* Add a break at 2013-12-01, as the chart does */
+  properties.breakDates = properties.breakDates.concat([new Date(2013, 11, 1)]);
+  spcEngine.processData(data.slice(), properties);
+  assert.deepStrictEqual(properties.manualProcesses, [23]);
+
+  /* Then add a year of earlier points */
+  var plotData = spcEngine.processData(months(2011, 0, 12, 1000).concat(data), properties);
+  assert.deepStrictEqual(properties.manualProcesses, [35]);
+  assert.strictEqual(+properties.processes[1].startDate, +new Date(2013, 11, 1));
+  assert.deepStrictEqual(spcEngine.exportState(properties, plotData).breaks, [{"date" : new Date(2013, 11, 1).toISOString()}]);
+});
+
+test("a process break given by index is kept at the date of its point", function() {
+  var data = months(2012, 0, 36, 1000);
+  var properties = {"autoDetectProcess" : false, "manualProcesses" : [23]};
+  spcEngine.processData(data.slice(), properties);
+  assert.deepStrictEqual(properties.breakDates, [new Date(2013, 11, 1)]);
+
+  var plotData = spcEngine.processData(months(2011, 0, 12, 1000).concat(data), properties);
+  assert.strictEqual(+plotData[properties.manualProcesses[0]].Date, +new Date(2013, 11, 1));
+  assert.deepStrictEqual(spcEngine.exportState(properties, plotData).breaks, [{"date" : new Date(2013, 11, 1).toISOString()}]);
+});
+
+test("a restored process break starts at the first point on or after its date", function() {
+  var data = months(2012, 0, 36, 1000);
+  var properties = {};
+  spcEngine.importState(properties, {"version" : 1, "autoDetectProcess" : false,
+  "breaks" : [{"date" : new Date(2013, 10, 15).toISOString(), "annotation" : {"reason" : "New policy"}}]});
+  var plotData = spcEngine.processData(data.slice(), properties);
+  assert.deepStrictEqual(properties.manualProcesses, [23]);
+
+  var state = spcEngine.exportState(properties, plotData);
+  assert.deepStrictEqual(state.breaks, [{"date" : new Date(2013, 10, 15).toISOString(), "annotation" : {"reason" : "New policy"}}]);
+});
+
+test("np charts find the same process breaks with their running mean as by checking every end", function() {
+  var seed = 7;
+  var random = function() {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+  var data = [], rate = 0.1;
+  for (let i = 0; i < 600; i++) {
+    if (random() < 1 / 100) {
+      rate = 0.05 + random() * 0.2;
+    }
+    var size = 50 + Math.floor(random() * 100);
+    data.push({"Date" : new Date(2000, 0, 1 + i), "Count" : Math.round(size * rate + (random() - 0.5) * 10), "Size" : size});
+  }
+  var options = {"chartType" : "NP", "denominatorData" : "Size", "autoDetectProcess" : true};
+  var fast = spcEngine.analyse(data, options);
+
+  var np = spcEngine.ChartTypeEnum.NP;
+  var runningMean = np.runningMean;
+  delete np.runningMean;
+  try {
+    assert.deepStrictEqual(fast, spcEngine.analyse(data, options));
+  } finally {
+    np.runningMean = runningMean;
+  }
+  assert.ok(fast.processes.length > 1);
+});
+
+test("no data gives no processes and no signals", function() {
+  for (let chartType of Object.keys(spcEngine.ChartTypeEnum)) {
+    var result = spcEngine.analyse([], {"chartType" : chartType, "denominatorData" : "Size", "autoDetectProcess" : true});
+    assert.deepStrictEqual(result, {"chartType" : chartType, "processes" : [], "points" : [], "signals" : []});
+  }
+  var properties = {"manualProcesses" : [3]};
+  assert.deepStrictEqual(spcEngine.processData([], properties), []);
+  assert.deepStrictEqual(properties.processes, []);
+});